@@ -1,9 +1,17 @@
 // Background service worker for Tab Switcher Previews
 
+// Settings schema, defaults, validation and migrations shared with the content script and
+// the options page
+importScripts('settings.js');
+
 // Track MRU (Most Recently Used) tab order
 let mruTabOrder = [];
 const MRU_CACHE_KEY = 'mruTabOrderV1';
 
+// Incognito tabs share the in-memory MRU list but are never persisted, and switcher
+// lists never mix incognito and regular tabs
+const incognitoTabIds = new Set();
+
 async function loadMRUOrder() {
   try {
     const stored = await chrome.storage.session.get(MRU_CACHE_KEY);
@@ -16,14 +24,500 @@ async function loadMRUOrder() {
   }
 }
 
-async function persistMRUOrder() {
+// Persist the MRU order for this browser session; unless told otherwise, also refresh the
+// restart-proof history (see below)
+async function persistMRUOrder({ updateHistory = true } = {}) {
   try {
-    await chrome.storage.session.set({ [MRU_CACHE_KEY]: mruTabOrder });
+    const persistedOrder = mruTabOrder.filter(id => !incognitoTabIds.has(id));
+    await chrome.storage.session.set({ [MRU_CACHE_KEY]: persistedOrder });
   } catch (error) {
     console.warn('Failed to persist MRU order', error);
   }
+  if (updateHistory) {
+    scheduleMRUHistoryPersist();
+  }
+}
+
+// Tab IDs change across browser restarts, so chrome.storage.session alone loses the MRU
+// order. The history below survives restarts: each entry keeps the tab's URL, its window
+// and tab-strip position, and a key stored on the tab itself with chrome.sessions
+// (restored tabs keep it). At startup entries are matched back to the restored tabs.
+const MRU_HISTORY_KEY = 'mruHistoryV1';
+const MRU_SESSION_KEY = 'mruKey';
+const MRU_HISTORY_DELAY_MS = 1000;
+const tabMRUKeys = new Map(); // Map<tabId, key>
+let mruHistoryTimeout = null;
+
+function scheduleMRUHistoryPersist() {
+  if (mruHistoryTimeout) {
+    clearTimeout(mruHistoryTimeout);
+  }
+  mruHistoryTimeout = setTimeout(() => {
+    mruHistoryTimeout = null;
+    persistMRUHistory();
+  }, MRU_HISTORY_DELAY_MS);
+}
+
+// The key stored on a tab for matching it after a restart, created on first use
+async function getTabMRUKey(tabId) {
+  if (tabMRUKeys.has(tabId)) return tabMRUKeys.get(tabId);
+
+  let key = await chrome.sessions.getTabValue(tabId, MRU_SESSION_KEY);
+  if (!key) {
+    key = crypto.randomUUID();
+    await chrome.sessions.setTabValue(tabId, MRU_SESSION_KEY, key);
+  }
+  tabMRUKeys.set(tabId, key);
+  return key;
+}
+
+// Position of each regular window, in creation order, so entries can name "the second window"
+async function getWindowPositions() {
+  const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+  const positions = new Map();
+  windows
+    .filter(win => !win.incognito)
+    .sort((a, b) => a.id - b.id)
+    .forEach((win, index) => positions.set(win.id, index));
+  return positions;
 }
 
+async function persistMRUHistory() {
+  // Don't overwrite the history before startup has had the chance to restore from it
+  await mruInitPromise;
+  try {
+    const [tabs, windowPositions] = await Promise.all([chrome.tabs.query({}), getWindowPositions()]);
+    const tabMap = new Map(tabs.filter(tab => !tab.incognito).map(tab => [tab.id, tab]));
+
+    const history = [];
+    for (const tabId of mruTabOrder) {
+      const tab = tabMap.get(tabId);
+      if (!tab || !windowPositions.has(tab.windowId)) continue;
+      history.push({
+        key: await getTabMRUKey(tabId).catch(() => null),
+        url: tab.url || '',
+        windowIndex: windowPositions.get(tab.windowId),
+        tabIndex: tab.index
+      });
+    }
+
+    await chrome.storage.local.set({ [MRU_HISTORY_KEY]: history });
+  } catch (error) {
+    console.warn('Failed to persist MRU history', error);
+  }
+}
+
+// Rebuild the MRU order after a restart by matching history entries to the restored tabs:
+// first by session key, then by URL in the same window and tab-strip position, then by URL
+async function restoreMRUFromHistory(tabs) {
+  try {
+    const stored = await chrome.storage.local.get(MRU_HISTORY_KEY);
+    const history = stored[MRU_HISTORY_KEY];
+    if (!Array.isArray(history) || history.length === 0) return [];
+
+    const windowPositions = await getWindowPositions();
+    const candidates = tabs.filter(tab => !tab.incognito);
+    await Promise.all(candidates.map(async tab => {
+      const key = await chrome.sessions.getTabValue(tab.id, MRU_SESSION_KEY).catch(() => null);
+      if (key) tabMRUKeys.set(tab.id, key);
+    }));
+
+    const matches = new Array(history.length).fill(null);
+    const usedTabIds = new Set();
+    const matchers = [
+      (entry, tab) => entry.key && tabMRUKeys.get(tab.id) === entry.key,
+      (entry, tab) => entry.url === tab.url &&
+        entry.windowIndex === windowPositions.get(tab.windowId) &&
+        entry.tabIndex === tab.index,
+      (entry, tab) => entry.url && entry.url === tab.url
+    ];
+    for (const matcher of matchers) {
+      history.forEach((entry, position) => {
+        if (matches[position] !== null) return;
+        const tab = candidates.find(candidate => !usedTabIds.has(candidate.id) && matcher(entry, candidate));
+        if (tab) {
+          matches[position] = tab.id;
+          usedTabIds.add(tab.id);
+        }
+      });
+    }
+
+    return matches.filter(id => id !== null);
+  } catch (error) {
+    console.warn('Failed to restore MRU history', error);
+    return [];
+  }
+}
+
+// Per-tab usage for the frecency order: how often a tab was activated and how long
+// it stayed in front of a focused window. Kept for this browser session only.
+const TAB_USAGE_KEY = 'tabUsageStatsV1';
+const FRECENCY_HALF_LIFE_MS = 6 * 60 * 60 * 1000;
+const FRECENCY_DWELL_UNIT_MS = 60 * 1000;
+let tabUsageStats = new Map(); // tabId -> { activations, dwellMs, lastActiveAt }
+let activeDwell = null; // { tabId, since }
+
+async function loadTabUsageStats() {
+  try {
+    const stored = await chrome.storage.session.get(TAB_USAGE_KEY);
+    const saved = stored[TAB_USAGE_KEY];
+    if (saved && saved.stats) {
+      tabUsageStats = new Map(Object.entries(saved.stats).map(([tabId, stats]) => [Number(tabId), stats]));
+      // The worker may have been suspended mid-dwell; keep timing the same tab
+      activeDwell = saved.activeDwell || null;
+    }
+  } catch (error) {
+    console.warn('Failed to load tab usage stats', error);
+  }
+}
+
+async function persistTabUsageStats() {
+  try {
+    const stats = {};
+    tabUsageStats.forEach((entry, tabId) => {
+      if (!incognitoTabIds.has(tabId)) {
+        stats[tabId] = entry;
+      }
+    });
+    const dwell = activeDwell && !incognitoTabIds.has(activeDwell.tabId) ? activeDwell : null;
+    await chrome.storage.session.set({ [TAB_USAGE_KEY]: { stats, activeDwell: dwell } });
+  } catch (error) {
+    console.warn('Failed to persist tab usage stats', error);
+  }
+}
+
+function getTabUsage(tabId) {
+  let stats = tabUsageStats.get(tabId);
+  if (!stats) {
+    stats = { activations: 0, dwellMs: 0, lastActiveAt: 0 };
+    tabUsageStats.set(tabId, stats);
+  }
+  return stats;
+}
+
+// Close the running dwell period, if any, and credit its time to the tab
+function endDwell(now = Date.now()) {
+  if (!activeDwell) return;
+  const stats = tabUsageStats.get(activeDwell.tabId);
+  if (stats) {
+    stats.dwellMs += Math.max(0, now - activeDwell.since);
+    stats.lastActiveAt = now;
+  }
+  activeDwell = null;
+}
+
+// A tab came to the front of a focused window: count the activation and start timing it
+function recordTabActivation(tabId) {
+  const now = Date.now();
+  endDwell(now);
+  const stats = getTabUsage(tabId);
+  stats.activations++;
+  stats.lastActiveAt = now;
+  activeDwell = { tabId, since: now };
+  persistTabUsageStats();
+}
+
+// Activations plus minutes of dwell time, decayed by how long ago the tab was last used
+function getFrecencyScore(tabId, now = Date.now()) {
+  const stats = tabUsageStats.get(tabId);
+  if (!stats) return 0;
+  let dwellMs = stats.dwellMs;
+  let lastActiveAt = stats.lastActiveAt;
+  if (activeDwell && activeDwell.tabId === tabId) {
+    dwellMs += now - activeDwell.since;
+    lastActiveAt = now;
+  }
+  const decay = Math.pow(0.5, Math.max(0, now - lastActiveAt) / FRECENCY_HALF_LIFE_MS);
+  return (stats.activations + dwellMs / FRECENCY_DWELL_UNIT_MS) * decay;
+}
+
+// Activation history for back/forward navigation, oldest first. Unlike the MRU order it
+// keeps every visit, and stepping back or forward only moves the cursor: tabs reached that
+// way are not recorded again. Visiting a tab normally drops the entries ahead of the cursor,
+// as in a browser. Kept for this browser session only.
+const ACTIVATION_HISTORY_KEY = 'activationHistoryV1';
+const MAX_ACTIVATION_HISTORY = 100;
+let activationHistory = [];
+let historyCursor = -1;
+// Tabs and windows the history commands are about to activate or focus, so the resulting
+// events are not recorded as new visits
+const historyNavigationTabs = new Set();
+const historyNavigationWindows = new Set();
+
+// Drop entries that fail `keep`, merging the repeats that leaves behind, and move the
+// cursor to the nearest remaining entry at or before it
+function compactHistory(entries, cursor, keep) {
+  const compacted = [];
+  let compactedCursor = -1;
+  entries.forEach((tabId, index) => {
+    if (keep(tabId) && tabId !== compacted[compacted.length - 1]) {
+      compacted.push(tabId);
+    }
+    if (index === cursor) {
+      compactedCursor = compacted.length - 1;
+    }
+  });
+  return { entries: compacted, cursor: compactedCursor };
+}
+
+async function loadActivationHistory() {
+  try {
+    const stored = await chrome.storage.session.get(ACTIVATION_HISTORY_KEY);
+    const saved = stored[ACTIVATION_HISTORY_KEY];
+    if (saved && Array.isArray(saved.entries)) {
+      activationHistory = saved.entries;
+      historyCursor = saved.cursor;
+    }
+  } catch (error) {
+    console.warn('Failed to load activation history', error);
+  }
+}
+
+async function persistActivationHistory() {
+  try {
+    const persisted = compactHistory(activationHistory, historyCursor, tabId => !incognitoTabIds.has(tabId));
+    await chrome.storage.session.set({ [ACTIVATION_HISTORY_KEY]: persisted });
+  } catch (error) {
+    console.warn('Failed to persist activation history', error);
+  }
+}
+
+function recordHistoryVisit(tabId) {
+  if (historyNavigationTabs.delete(tabId)) return;
+  if (activationHistory[historyCursor] === tabId) return;
+
+  activationHistory = activationHistory.slice(0, historyCursor + 1);
+  activationHistory.push(tabId);
+  if (activationHistory.length > MAX_ACTIVATION_HISTORY) {
+    activationHistory = activationHistory.slice(-MAX_ACTIVATION_HISTORY);
+  }
+  historyCursor = activationHistory.length - 1;
+  persistActivationHistory();
+}
+
+function removeFromActivationHistory(tabId) {
+  if (!activationHistory.includes(tabId)) return;
+  ({ entries: activationHistory, cursor: historyCursor } =
+    compactHistory(activationHistory, historyCursor, id => id !== tabId));
+  persistActivationHistory();
+}
+
+// Step through the activation history (-1 back, 1 forward) from the focused tab, skipping
+// closed tabs and tabs on the other side of the incognito boundary
+async function navigateActivationHistory(step) {
+  const [currentTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!currentTab) return;
+
+  // Start from the current tab's own entry when the cursor has drifted away from it
+  let start = historyCursor;
+  if (activationHistory[start] !== currentTab.id) {
+    const currentIndex = activationHistory.lastIndexOf(currentTab.id);
+    start = currentIndex !== -1 ? currentIndex : activationHistory.length;
+  }
+
+  let target = null;
+  let targetIndex = -1;
+  for (let index = start + step; index >= 0 && index < activationHistory.length; index += step) {
+    const tab = await chrome.tabs.get(activationHistory[index]).catch(() => null);
+    if (tab && tab.id !== currentTab.id && tab.incognito === currentTab.incognito) {
+      target = tab;
+      targetIndex = index;
+      break;
+    }
+  }
+
+  if (!target) {
+    // Nowhere to go: say so on the current tab
+    await showHistoryToast(currentTab, { step, position: start, edge: true });
+    return;
+  }
+
+  historyCursor = targetIndex;
+  persistActivationHistory();
+
+  await captureOutgoingTab(currentTab.windowId, target.id);
+  if (!target.active) {
+    historyNavigationTabs.add(target.id);
+  }
+  if (target.windowId !== currentTab.windowId) {
+    historyNavigationWindows.add(target.windowId);
+  }
+  try {
+    await activateTab(target.id);
+  } catch (error) {
+    historyNavigationTabs.delete(target.id);
+    historyNavigationWindows.delete(target.windowId);
+    console.warn('Failed to navigate activation history', error);
+    return;
+  }
+  await showHistoryToast(target, { step, position: targetIndex, edge: false });
+}
+
+// Tell the tab's page where the history cursor now is; pages that can't host a content
+// script (chrome:// pages, the Web Store...) simply go without the toast
+async function showHistoryToast(tab, { step, position, edge }) {
+  if (!tab.url || isRestrictedUrl(tab.url)) return;
+  if (!await ensureContentScript(tab.id)) return;
+  try {
+    await chrome.tabs.sendMessage(tab.id, {
+      action: "showHistoryToast",
+      direction: step < 0 ? "back" : "forward",
+      position: Math.min(position, activationHistory.length - 1) + 1,
+      total: activationHistory.length,
+      title: tab.title || tab.url,
+      edge
+    });
+  } catch (error) {
+    console.warn('Failed to show history toast', error);
+  }
+}
+
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    return { ...defaultSettings, ...(result[SETTINGS_KEY] || {}) };
+  } catch (error) {
+    console.warn('Failed to load settings', error);
+    return { ...defaultSettings };
+  }
+}
+
+// Bring stored settings up to the current schema, adopting the old storage key if that's
+// all there is. Runs once when the background starts.
+async function migrateStoredSettings() {
+  try {
+    const result = await chrome.storage.local.get([SETTINGS_KEY, LEGACY_SETTINGS_KEY]);
+    const stored = result[SETTINGS_KEY] || result[LEGACY_SETTINGS_KEY];
+    if (result[LEGACY_SETTINGS_KEY]) {
+      await chrome.storage.local.remove(LEGACY_SETTINGS_KEY);
+    }
+    if (!stored) {
+      await chrome.storage.local.set({ [SETTINGS_KEY]: { schemaVersion: SETTINGS_SCHEMA_VERSION } });
+      return;
+    }
+    if (stored.schemaVersion === SETTINGS_SCHEMA_VERSION && result[SETTINGS_KEY]) return;
+
+    const migrated = migrateSettings(stored);
+    const { settings } = validateSettings(migrated);
+    await chrome.storage.local.set({ [SETTINGS_KEY]: { ...settings, schemaVersion: SETTINGS_SCHEMA_VERSION } });
+  } catch (error) {
+    console.warn('Failed to migrate settings', error);
+  }
+}
+
+// Migrate and validate settings that came from elsewhere (sync or an imported file) and
+// merge them over this device's settings, keeping its local-only ones
+async function applyPortableSettings(incoming, localOverrides = {}) {
+  const warnings = [];
+  const { settings } = validateSettings(migrateSettings(incoming), warnings);
+  const current = await loadSettings();
+  Object.keys(SETTINGS_SCHEMA).forEach(key => {
+    if (SETTINGS_SCHEMA[key].localOnly) {
+      settings[key] = key in localOverrides ? localOverrides[key] : current[key];
+    }
+  });
+  const sizeError = getSettingsSizeError(settings);
+  if (sizeError) {
+    throw new Error(sizeError);
+  }
+  await chrome.storage.local.set({ [SETTINGS_KEY]: { ...settings, schemaVersion: SETTINGS_SCHEMA_VERSION } });
+  return { settings, warnings };
+}
+
+// Optional chrome.storage.sync: the local copy stays the one everything reads, and the
+// background mirrors it to and from sync while "Sync Settings" is on
+function sameSettings(a, b) {
+  return JSON.stringify(getPortableSettings(a || {})) === JSON.stringify(getPortableSettings(b || {}));
+}
+
+async function pushSettingsToSync(settings) {
+  const result = await chrome.storage.sync.get(SETTINGS_KEY);
+  if (sameSettings(result[SETTINGS_KEY], settings)) return;
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: getPortableSettings(settings) });
+}
+
+// Tell an open options page that settings did not reach sync
+function reportSettingsSyncError(error) {
+  console.warn('Failed to sync settings', error);
+  chrome.runtime.sendMessage({ action: 'settingsSyncFailed', error: error.message }).catch(() => {
+    // No options page is open to show it
+  });
+}
+
+async function pullSettingsFromSync(synced) {
+  try {
+    const current = await loadSettings();
+    if (sameSettings(synced, current)) return;
+    await applyPortableSettings(synced);
+  } catch (error) {
+    console.warn('Failed to apply synced settings', error);
+  }
+}
+
+// Turning sync on adopts the settings already synced from another device, if any;
+// otherwise this device's settings seed it
+async function setSettingsSync(enabled) {
+  await settingsInitPromise;
+  if (enabled) {
+    const result = await chrome.storage.sync.get(SETTINGS_KEY);
+    if (result[SETTINGS_KEY]) {
+      await applyPortableSettings(result[SETTINGS_KEY], { syncSettings: true });
+      return loadSettings();
+    }
+  }
+  const settings = { ...(await loadSettings()), syncSettings: enabled };
+  if (enabled) {
+    // Push now so a failure reaches the options page instead of "sync turned on"
+    await pushSettingsToSync(settings);
+  }
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
+
+// Export files wrap the portable settings with their schema version
+const SETTINGS_EXPORT_FORMAT = 'tab-switcher-previews-settings';
+
+function exportSettings(settings) {
+  const { schemaVersion, ...portable } = getPortableSettings(settings);
+  return {
+    format: SETTINGS_EXPORT_FORMAT,
+    schemaVersion,
+    exportedAt: new Date().toISOString(),
+    settings: portable
+  };
+}
+
+// Accepts an export file or a bare settings object
+async function importSettings(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The file does not contain settings');
+  }
+  let incoming = data;
+  if (data.format !== undefined) {
+    if (data.format !== SETTINGS_EXPORT_FORMAT || !data.settings || typeof data.settings !== 'object') {
+      throw new Error('The file is not a Tab Switcher Previews settings export');
+    }
+    incoming = { ...data.settings, schemaVersion: data.schemaVersion };
+  }
+  return applyPortableSettings(incoming);
+}
+
+const settingsInitPromise = migrateStoredSettings();
+
+// While sync is on, local changes go up to sync and synced changes come down
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (!changes[SETTINGS_KEY] || !changes[SETTINGS_KEY].newValue) return;
+  await settingsInitPromise;
+
+  const settings = await loadSettings();
+  if (!settings.syncSettings) return;
+  if (areaName === 'local') {
+    await pushSettingsToSync(settings).catch(reportSettingsSyncError);
+  } else if (areaName === 'sync') {
+    await pullSettingsFromSync(changes[SETTINGS_KEY].newValue);
+  }
+});
+
 function isRestrictedUrl(url = '') {
   return url.startsWith('chrome://') ||
          url.startsWith('chrome-extension://') ||
@@ -32,125 +526,550 @@ function isRestrictedUrl(url = '') {
          url.startsWith('devtools://');
 }
 
-// Persisted screenshot cache using local storage (survives browser restarts)
-const SCREENSHOT_CACHE_KEY = 'tabScreenshotCacheV2'; // V2 for local storage migration
-const MAX_SCREENSHOT_CACHE_ITEMS = 25;
-let tabScreenshotCache = new Map(); // Map<tabId, { dataUrl, timestamp, url }>
+// Per-site privacy rules, each { pattern, mode }. The first rule matching a page wins:
+// 'never' keeps no screenshot, 'blur' stores it blurred, and 'expire' drops it once it
+// is older than the short retention time. PRIVACY_MODES comes from settings.js.
+const PRIVACY_BLUR_PX = 12;
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// Patterns without a path ("bank.com", "*.bank.com") match the host and its subdomains;
+// patterns with a path ("intranet.example.com/hr/*") match host plus path. * is a wildcard.
+function urlMatchesPattern(url, pattern) {
+  const trimmed = (pattern || '').trim().replace(/^[a-z]+:\/\//i, '');
+  if (!trimmed || !url) return false;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  const host = parsed.hostname;
+  if (!trimmed.includes('/')) {
+    const hostPattern = trimmed.replace(/^\*\./, '');
+    return globToRegExp(hostPattern).test(host) || globToRegExp(`*.${hostPattern}`).test(host);
+  }
+  return globToRegExp(trimmed).test(host + parsed.pathname + parsed.search);
+}
+
+function getPrivacyMode(url, settings) {
+  const rules = Array.isArray(settings.privacyRules) ? settings.privacyRules : [];
+  const rule = rules.find(rule => PRIVACY_MODES.includes(rule.mode) && urlMatchesPattern(url, rule.pattern));
+  return rule ? rule.mode : null;
+}
+
+// Whether a cached screenshot may still be kept under the current privacy rules
+function isScreenshotAllowed(entry, settings) {
+  const mode = getPrivacyMode(entry.url, settings);
+  if (mode === 'never') return false;
+  if (mode === 'blur') return !!entry.blurred;
+  if (mode === 'expire') {
+    const retentionMs = Math.max(1, Number(settings.shortRetentionMinutes) || defaultSettings.shortRetentionMinutes) * 60000;
+    return Date.now() - (entry.timestamp || 0) < retentionMs;
+  }
+  return true;
+}
+
+// Persisted screenshot cache: one downscaled JPEG Blob per tab in IndexedDB (survives
+// browser restarts). Only metadata is kept in memory; blobs are read on demand.
+const SCREENSHOT_DB_NAME = 'tabScreenshotCache';
+const SCREENSHOT_STORE = 'screenshots';
+const LEGACY_SCREENSHOT_CACHE_KEY = 'tabScreenshotCacheV2'; // chrome.storage.local cache, migrated once
+const THUMBNAIL_WIDTH = 480; // Largest card preview (150%) at 2x device pixel ratio
+const THUMBNAIL_QUALITY = 0.75;
+let tabScreenshotCache = new Map(); // Map<tabId, { timestamp, url, size, blurred }>
+let screenshotDBPromise = null;
 const cacheInitPromise = loadScreenshotCache();
 
+function openScreenshotDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SCREENSHOT_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SCREENSHOT_STORE, { keyPath: 'tabId' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function getScreenshotDB() {
+  if (!screenshotDBPromise) {
+    screenshotDBPromise = openScreenshotDB().catch(error => {
+      screenshotDBPromise = null;
+      throw error;
+    });
+  }
+  return screenshotDBPromise;
+}
+
+// Run one operation against the screenshot store and resolve when its transaction commits
+async function runScreenshotTransaction(mode, operation) {
+  const db = await getScreenshotDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SCREENSHOT_STORE, mode);
+    const request = operation(transaction.objectStore(SCREENSHOT_STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
 async function loadScreenshotCache() {
   try {
-    const stored = await chrome.storage.local.get(SCREENSHOT_CACHE_KEY);
-    const entries = stored[SCREENSHOT_CACHE_KEY];
-    if (entries && typeof entries === 'object') {
-      Object.entries(entries).forEach(([id, entry]) => {
-        if (entry && entry.dataUrl) {
-          tabScreenshotCache.set(Number(id), entry);
-        }
+    const records = await runScreenshotTransaction('readonly', store => store.getAll());
+    (records || []).forEach(record => {
+      tabScreenshotCache.set(record.tabId, {
+        timestamp: record.timestamp,
+        url: record.url,
+        size: record.size,
+        blurred: !!record.blurred
       });
-    }
+    });
+    await migrateLegacyScreenshotCache();
+    await pruneScreenshotCache();
   } catch (error) {
     // Best-effort load; fall back to empty cache
     console.warn('Failed to load screenshot cache', error);
   }
 }
 
-async function persistScreenshotCache() {
-  const plainObject = {};
-  for (const [id, entry] of tabScreenshotCache.entries()) {
-    plainObject[id] = entry;
+// Move screenshots from the old single chrome.storage.local key into IndexedDB
+async function migrateLegacyScreenshotCache() {
+  const stored = await chrome.storage.local.get(LEGACY_SCREENSHOT_CACHE_KEY);
+  const entries = stored[LEGACY_SCREENSHOT_CACHE_KEY];
+  if (!entries) return;
+
+  if (typeof entries === 'object') {
+    for (const [id, entry] of Object.entries(entries)) {
+      if (entry && entry.dataUrl && !tabScreenshotCache.has(Number(id))) {
+        await storeScreenshot(Number(id), entry.dataUrl, entry.url || null, entry.timestamp || Date.now());
+      }
+    }
+  }
+  await chrome.storage.local.remove(LEGACY_SCREENSHOT_CACHE_KEY);
+}
+
+// Downscale a captured screenshot to card resolution (optionally blurred) and re-encode
+// it as a JPEG Blob
+async function downscaleScreenshot(dataUrl, blur = false) {
+  const sourceBlob = await (await fetch(dataUrl)).blob();
+  try {
+    const bitmap = await createImageBitmap(sourceBlob);
+    const scale = Math.min(1, THUMBNAIL_WIDTH / bitmap.width);
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    if (blur) {
+      context.filter = `blur(${PRIVACY_BLUR_PX}px)`;
+    }
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    return await canvas.convertToBlob({ type: 'image/jpeg', quality: THUMBNAIL_QUALITY });
+  } catch (error) {
+    // An unblurred original must never stand in for a blurred screenshot
+    if (blur) throw error;
+    console.warn('Failed to downscale screenshot', error);
+    return sourceBlob;
   }
+}
+
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || 'image/jpeg'};base64,${btoa(binary)}`;
+}
+
+async function storeScreenshot(tabId, dataUrl, url, timestamp = Date.now(), blurred = false) {
+  const blob = await downscaleScreenshot(dataUrl, blurred);
+  const record = { tabId, blob, size: blob.size, timestamp, url, blurred };
+  await runScreenshotTransaction('readwrite', store => store.put(record));
+  tabScreenshotCache.set(tabId, { timestamp, url, size: blob.size, blurred });
+}
+
+async function removeScreenshots(tabIds) {
+  if (tabIds.length === 0) return;
+  tabIds.forEach(id => tabScreenshotCache.delete(id));
   try {
-    await chrome.storage.local.set({ [SCREENSHOT_CACHE_KEY]: plainObject });
+    await runScreenshotTransaction('readwrite', store => {
+      tabIds.forEach(id => store.delete(id));
+      return null;
+    });
   } catch (error) {
-    console.warn('Failed to persist screenshot cache', error);
+    console.warn('Failed to prune screenshot cache', error);
   }
 }
 
+// Drop screenshots the privacy rules no longer allow, then evict the oldest until the
+// cache fits the configured byte budget
 async function pruneScreenshotCache() {
-  if (tabScreenshotCache.size <= MAX_SCREENSHOT_CACHE_ITEMS) return;
-  const entries = Array.from(tabScreenshotCache.entries());
+  const settings = await loadSettings();
+  const budgetBytes = Math.max(1, Number(settings.screenshotCacheMB) || defaultSettings.screenshotCacheMB) * 1024 * 1024;
+
+  const evictedIds = [];
+  const entries = [];
+  let totalBytes = 0;
+  for (const [id, entry] of tabScreenshotCache.entries()) {
+    if (isScreenshotAllowed(entry, settings)) {
+      entries.push([id, entry]);
+      totalBytes += entry.size || 0;
+    } else {
+      evictedIds.push(id);
+    }
+  }
+
   entries.sort((a, b) => (a[1].timestamp || 0) - (b[1].timestamp || 0));
-  while (tabScreenshotCache.size > MAX_SCREENSHOT_CACHE_ITEMS && entries.length) {
-    const [oldestId] = entries.shift();
-    tabScreenshotCache.delete(oldestId);
+  while (totalBytes > budgetBytes && entries.length) {
+    const [oldestId, oldestEntry] = entries.shift();
+    evictedIds.push(oldestId);
+    totalBytes -= oldestEntry.size || 0;
+  }
+
+  await removeScreenshots(evictedIds);
+}
+
+async function clearScreenshotCache() {
+  tabScreenshotCache.clear();
+  try {
+    await runScreenshotTransaction('readwrite', store => store.clear());
+  } catch (error) {
+    console.warn('Failed to clear screenshot cache', error);
   }
-  await persistScreenshotCache();
 }
 
-async function setScreenshot(tabId, dataUrl, url = null) {
+// Incognito screenshots never touch IndexedDB or chrome.storage: they live only in this
+// map (records shaped like the IndexedDB ones) and are dropped when their tab closes.
+const INCOGNITO_CACHE_MAX_BYTES = 20 * 1024 * 1024;
+const incognitoScreenshots = new Map(); // Map<tabId, { blob, timestamp, url, size, blurred }>
+
+async function storeIncognitoScreenshot(tabId, dataUrl, url, blurred) {
+  const blob = await downscaleScreenshot(dataUrl, blurred);
+  incognitoScreenshots.set(tabId, { blob, timestamp: Date.now(), url, size: blob.size, blurred });
+
+  let totalBytes = 0;
+  for (const entry of incognitoScreenshots.values()) {
+    totalBytes += entry.size;
+  }
+  const entries = Array.from(incognitoScreenshots.entries());
+  entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
+  while (totalBytes > INCOGNITO_CACHE_MAX_BYTES && entries.length) {
+    const [oldestId, oldestEntry] = entries.shift();
+    incognitoScreenshots.delete(oldestId);
+    totalBytes -= oldestEntry.size;
+  }
+}
+
+async function setScreenshot(tabId, dataUrl, url = null, { blurred = false, incognito = false } = {}) {
+  if (incognito) {
+    try {
+      await storeIncognitoScreenshot(tabId, dataUrl, url, blurred);
+    } catch (error) {
+      console.warn('Failed to store incognito screenshot', error);
+    }
+    return;
+  }
+
   await cacheInitPromise; // ensure we loaded any prior state
-  tabScreenshotCache.set(tabId, { dataUrl, timestamp: Date.now(), url });
+  try {
+    await storeScreenshot(tabId, dataUrl, url, Date.now(), blurred);
+  } catch (error) {
+    console.warn('Failed to store screenshot', error);
+    return;
+  }
   await pruneScreenshotCache();
-  await persistScreenshotCache();
 }
 
 async function deleteScreenshot(tabId) {
+  incognitoScreenshots.delete(tabId);
   await cacheInitPromise;
   tabScreenshotCache.delete(tabId);
-  await persistScreenshotCache();
-}
-
-function getScreenshot(tabId, url = null) {
-  // First try by tab ID
-  const entry = tabScreenshotCache.get(tabId);
-  if (entry && entry.dataUrl) {
-    return entry.dataUrl;
+  try {
+    await runScreenshotTransaction('readwrite', store => store.delete(tabId));
+  } catch (error) {
+    console.warn('Failed to delete screenshot', error);
   }
+}
 
-  // Fall back to URL match (useful after browser restart when tab IDs change)
+// Find a cache entry by tab ID, then fall back to URL match (useful after browser
+// restart when tab IDs change, and for recently closed tabs). Closed tabs keep their
+// entries and Chrome reuses tab IDs after a restart, so a tab ID hit only counts when
+// its URL matches too.
+function findScreenshotId(cache, tabId, url) {
+  if (cache.has(tabId) && (!url || cache.get(tabId).url === url)) return tabId;
   if (url) {
-    for (const [, cachedEntry] of tabScreenshotCache.entries()) {
-      if (cachedEntry.url === url && cachedEntry.dataUrl) {
-        return cachedEntry.dataUrl;
-      }
+    for (const [id, cachedEntry] of cache.entries()) {
+      if (cachedEntry.url === url) return id;
     }
   }
-
   return null;
 }
 
+// Resolve a screenshot as { dataUrl, timestamp } (ready to send to the switcher UI).
+// Incognito switchers only ever see the in-memory incognito screenshots.
+async function getScreenshot(tabId, url = null, incognito = false) {
+  if (incognito) {
+    const incognitoId = findScreenshotId(incognitoScreenshots, tabId, url);
+    const entry = incognitoId === null ? null : incognitoScreenshots.get(incognitoId);
+    if (!entry || !isScreenshotAllowed(entry, await loadSettings())) return null;
+    return { dataUrl: await blobToDataUrl(entry.blob), timestamp: entry.timestamp };
+  }
+
+  await cacheInitPromise;
+
+  const cacheId = findScreenshotId(tabScreenshotCache, tabId, url);
+  if (cacheId === null) return null;
+
+  // Short-retention screenshots can expire between prunes
+  if (!isScreenshotAllowed(tabScreenshotCache.get(cacheId), await loadSettings())) {
+    await removeScreenshots([cacheId]);
+    return null;
+  }
+
+  try {
+    const record = await runScreenshotTransaction('readonly', store => store.get(cacheId));
+    if (!record || !record.blob) return null;
+    return { dataUrl: await blobToDataUrl(record.blob), timestamp: record.timestamp };
+  } catch (error) {
+    console.warn('Failed to read screenshot', error);
+    return null;
+  }
+}
+
 // Track if the switcher is currently visible (to avoid capturing it in screenshots)
 let switcherVisible = false;
 
-// Centralized screenshot capture system to prevent race conditions
-let captureInProgress = false;
-let pendingCaptureTimeout = null;
+// Screenshot capture. captureVisibleTab is rate limited for the whole extension (about two
+// calls per second), so every call goes through one shared limiter. Scheduling and
+// ordering are tracked per window, so a capture queued for one window never cancels or
+// blocks the capture another window is waiting for.
+const CAPTURE_MIN_INTERVAL_MS = 550;
+const CAPTURE_MAX_RETRIES = 3;
+const CAPTURE_RETRY_BASE_MS = 500;
+const OUTGOING_CAPTURE_DELAY_MS = 50; // let the page repaint once the overlay is removed
+const OUTGOING_CAPTURE_TIMEOUT_MS = 300; // never hold up a switch for longer than this
+let lastCaptureAt = 0;
+let captureSlotChain = Promise.resolve();
+const windowCaptureQueues = new Map(); // Map<windowId, Promise>
+const pendingCaptureTimeouts = new Map(); // Map<windowId, timeoutId>
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isCaptureQuotaError(error) {
+  return /MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND/.test(error?.message || '');
+}
+
+// Run a task once the shared rate limiter allows the next captureVisibleTab call
+function withCaptureSlot(task) {
+  const run = captureSlotChain.then(async () => {
+    const wait = lastCaptureAt + CAPTURE_MIN_INTERVAL_MS - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastCaptureAt = Date.now();
+    return task();
+  });
+  captureSlotChain = run.catch(() => {});
+  return run;
+}
+
+// Queue a capture behind any other capture for the same window
+function enqueueWindowCapture(windowId, task) {
+  const previous = windowCaptureQueues.get(windowId) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  windowCaptureQueues.set(windowId, tail);
+  tail.then(() => {
+    if (windowCaptureQueues.get(windowId) === tail) {
+      windowCaptureQueues.delete(windowId);
+    }
+  });
+  return run;
+}
+
+// Capture the visible tab of a window; resolves true if a screenshot was stored.
+// `force` captures even while the switcher is open (used when the overlay is known
+// not to be on screen, e.g. a preview refresh that activated another tab).
+function captureScreenshot(tabId, windowId, force = false) {
+  return enqueueWindowCapture(windowId, async () => {
+    for (let attempt = 0; ; attempt++) {
+      if (switcherVisible && !force) return false;
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        if (!tab || isRestrictedUrl(tab.url)) return false;
+
+        const settings = await loadSettings();
+        if (tab.incognito && !settings.captureIncognito) return false;
+
+        const privacyMode = getPrivacyMode(tab.url, settings);
+        if (privacyMode === 'never') {
+          // Drop any screenshot taken before the rule existed; the card shows a placeholder
+          await deleteScreenshot(tabId);
+          return false;
+        }
+
+        // Check the tab is still the one on screen right before capturing, since
+        // waiting for a slot can take a while
+        const dataUrl = await withCaptureSlot(async () => {
+          const [currentActiveTab] = await chrome.tabs.query({ active: true, windowId });
+          if (!currentActiveTab || currentActiveTab.id !== tabId) return null;
+          return chrome.tabs.captureVisibleTab(windowId, { format: 'jpeg', quality: 50 });
+        });
+        if (!dataUrl) return false;
+
+        await setScreenshot(tabId, dataUrl, tab.url, {
+          blurred: privacyMode === 'blur',
+          incognito: tab.incognito
+        });
+        return true;
+      } catch (error) {
+        if (isCaptureQuotaError(error) && attempt < CAPTURE_MAX_RETRIES) {
+          await sleep(CAPTURE_RETRY_BASE_MS * 2 ** attempt);
+          continue;
+        }
+        console.warn(`Failed to capture tab ${tabId}:`, error?.message || error);
+        return false;
+      }
+    }
+  });
+}
+
+function scheduleCaptureScreenshot(tabId, windowId, delay = 500) {
+  if (pendingCaptureTimeouts.has(windowId)) {
+    clearTimeout(pendingCaptureTimeouts.get(windowId));
+  }
+  pendingCaptureTimeouts.set(windowId, setTimeout(() => {
+    pendingCaptureTimeouts.delete(windowId);
+    captureScreenshot(tabId, windowId);
+  }, delay));
+}
+
+// Capture the tab being switched away from, so its preview matches what was last on screen
+async function captureOutgoingTab(windowId, nextTabId) {
+  if (windowId === undefined) return;
+  try {
+    const [outgoingTab] = await chrome.tabs.query({ active: true, windowId });
+    if (!outgoingTab || outgoingTab.id === nextTabId || isRestrictedUrl(outgoingTab.url)) return;
+
+    if (pendingCaptureTimeouts.has(windowId)) {
+      clearTimeout(pendingCaptureTimeouts.get(windowId));
+      pendingCaptureTimeouts.delete(windowId);
+    }
+    await sleep(OUTGOING_CAPTURE_DELAY_MS);
+    await Promise.race([
+      captureScreenshot(outgoingTab.id, windowId, true),
+      sleep(OUTGOING_CAPTURE_TIMEOUT_MS)
+    ]);
+  } catch (error) {
+    console.warn('Failed to capture outgoing tab', error);
+  }
+}
+
+// Preview refreshes briefly activate a tab and then switch back. Those activations
+// are not the user's, so they must not reorder the MRU list.
+const PREVIEW_LOAD_TIMEOUT_MS = 3000;
+const PREVIEW_SETTLE_MS = 300;
+const previewRefreshActivations = new Set();
+
+// Activate a tab on behalf of a preview refresh, without counting it as a visit
+async function activateForPreview(tabId) {
+  previewRefreshActivations.add(tabId);
+  try {
+    await chrome.tabs.update(tabId, { active: true });
+  } catch (error) {
+    previewRefreshActivations.delete(tabId);
+    throw error;
+  }
+}
+
+// Wait for a tab to finish loading (discarded tabs reload on activation), then let it paint
+async function waitForTabToSettle(tabId) {
+  const deadline = Date.now() + PREVIEW_LOAD_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete') break;
+    await sleep(100);
+  }
+  await sleep(PREVIEW_SETTLE_MS);
+}
+
+// Briefly activate a tab to recapture its preview, then return to the tab that was active
+async function refreshTabPreview(tabId, hostTabId) {
+  if (tabId === hostTabId) {
+    throw new Error('The tab showing the switcher cannot be captured');
+  }
+  const tab = await chrome.tabs.get(tabId);
+  if (isRestrictedUrl(tab.url)) {
+    throw new Error('Previews are not available for this page');
+  }
+
+  const [previousTab] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+  const needsActivation = !previousTab || previousTab.id !== tabId;
+  let captured = false;
+  try {
+    if (needsActivation) {
+      await activateForPreview(tabId);
+      await waitForTabToSettle(tabId);
+    }
+    captured = await captureScreenshot(tabId, tab.windowId, true);
+  } finally {
+    if (needsActivation && previousTab) {
+      await activateForPreview(previousTab.id).catch(() => {});
+    }
+  }
+
+  if (!captured) {
+    throw new Error('Could not capture this tab');
+  }
+  return getScreenshot(tabId, null, tab.incognito);
+}
 
-async function captureScreenshot(tabId, windowId) {
-  if (captureInProgress || switcherVisible) return;
-  captureInProgress = true;
-  try {
-    const [currentActiveTab] = await chrome.tabs.query({ active: true, windowId });
-    if (!currentActiveTab || currentActiveTab.id !== tabId) return;
+// Recapture every loaded tab in every normal window. Discarded tabs are skipped so a
+// bulk refresh doesn't reload the whole session.
+async function refreshAllPreviews() {
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  let refreshed = 0;
 
-    const tab = await chrome.tabs.get(tabId);
-    if (!tab || isRestrictedUrl(tab.url)) return;
+  for (const win of windows) {
+    const previousTab = win.tabs.find(tab => tab.active);
+    const tabs = win.tabs.filter(tab => !tab.discarded && !isRestrictedUrl(tab.url));
+    let activeTabId = previousTab ? previousTab.id : null;
 
-    const dataUrl = await chrome.tabs.captureVisibleTab(windowId, {
-      format: 'jpeg',
-      quality: 50
-    });
-    await setScreenshot(tabId, dataUrl, tab.url);
-  } catch (error) {
-    // Ignore errors for restricted pages
-  } finally {
-    captureInProgress = false;
+    try {
+      for (const tab of tabs) {
+        if (tab.id !== activeTabId) {
+          await activateForPreview(tab.id);
+          activeTabId = tab.id;
+        }
+        await waitForTabToSettle(tab.id);
+        if (await captureScreenshot(tab.id, win.id, true)) {
+          refreshed++;
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to refresh previews for window', win.id, error);
+    } finally {
+      if (previousTab && previousTab.id !== activeTabId) {
+        await activateForPreview(previousTab.id).catch(() => {});
+      }
+    }
   }
-}
 
-function scheduleCaptureScreenshot(tabId, windowId, delay = 500) {
-  if (pendingCaptureTimeout) {
-    clearTimeout(pendingCaptureTimeout);
-  }
-  pendingCaptureTimeout = setTimeout(() => {
-    pendingCaptureTimeout = null;
-    captureScreenshot(tabId, windowId);
-  }, delay);
+  return refreshed;
 }
 
-async function openUrlInPopup(url, senderTab, sizePercent = 75) {
-  const popupScale = Math.min(96, Math.max(40, parseInt(sizePercent, 10) || 75)) / 100;
+// Bounds of a browser window, with sensible defaults if it is unavailable
+async function getWindowBounds(windowId) {
   const fallbackWindow = {
     width: 1440,
     height: 900,
@@ -159,18 +1078,31 @@ async function openUrlInPopup(url, senderTab, sizePercent = 75) {
   };
 
   let baseWindow = fallbackWindow;
-  if (senderTab?.windowId !== undefined) {
+  if (windowId !== undefined) {
     try {
-      baseWindow = await chrome.windows.get(senderTab.windowId);
+      baseWindow = await chrome.windows.get(windowId);
     } catch (error) {
       // Fall back to defaults if the source window is unavailable.
     }
   }
 
-  const width = Math.max(480, Math.round((baseWindow.width || fallbackWindow.width) * popupScale));
-  const height = Math.max(360, Math.round((baseWindow.height || fallbackWindow.height) * popupScale));
-  const left = Math.round((baseWindow.left || fallbackWindow.left) + ((baseWindow.width || fallbackWindow.width) - width) / 2);
-  const top = Math.round((baseWindow.top || fallbackWindow.top) + ((baseWindow.height || fallbackWindow.height) - height) / 2);
+  return {
+    width: baseWindow.width || fallbackWindow.width,
+    height: baseWindow.height || fallbackWindow.height,
+    left: baseWindow.left || fallbackWindow.left,
+    top: baseWindow.top || fallbackWindow.top
+  };
+}
+
+async function openUrlInPopup(url, senderTab, sizePercent = 75) {
+  const { min, max } = SETTINGS_SCHEMA.peekSize;
+  const popupScale = Math.min(max, Math.max(min, parseInt(sizePercent, 10) || defaultSettings.peekSize)) / 100;
+  const baseWindow = await getWindowBounds(senderTab?.windowId);
+
+  const width = Math.max(480, Math.round(baseWindow.width * popupScale));
+  const height = Math.max(360, Math.round(baseWindow.height * popupScale));
+  const left = Math.round(baseWindow.left + (baseWindow.width - width) / 2);
+  const top = Math.round(baseWindow.top + (baseWindow.height - height) / 2);
 
   try {
     const popupWindow = await chrome.windows.create({
@@ -197,6 +1129,8 @@ async function openUrlInPopup(url, senderTab, sizePercent = 75) {
 // Listen for tab activation to maintain MRU order and capture screenshot
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   const tabId = activeInfo.tabId;
+  if (previewRefreshActivations.delete(tabId)) return;
+
   // Remove tab if it exists in the list
   mruTabOrder = mruTabOrder.filter(id => id !== tabId);
   // Add to front of list (most recent)
@@ -206,16 +1140,43 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
     mruTabOrder = mruTabOrder.slice(0, 100);
   }
   persistMRUOrder();
+  recordHistoryVisit(tabId);
+
+  // Only time tabs the user is actually looking at
+  const tabWindow = await chrome.windows.get(activeInfo.windowId).catch(() => null);
+  if (tabWindow && tabWindow.focused) {
+    recordTabActivation(tabId);
+  }
 
   // Capture screenshot of newly active tab after a delay
   scheduleCaptureScreenshot(tabId, activeInfo.windowId, 800);
 });
 
-// Listen for tab removal to clean up MRU list and cache
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onCreated.addListener((tab) => {
+  if (tab.incognito) {
+    incognitoTabIds.add(tab.id);
+  }
+});
+
+// Listen for tab removal to clean up MRU list. The screenshot is kept so the
+// recently closed strip can still show it (matched by URL); pruning evicts it later.
+// Incognito screenshots are dropped right away.
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
   mruTabOrder = mruTabOrder.filter(id => id !== tabId);
-  persistMRUOrder();
-  deleteScreenshot(tabId);
+  incognitoTabIds.delete(tabId);
+  incognitoScreenshots.delete(tabId);
+  tabMRUKeys.delete(tabId);
+  if (activeDwell && activeDwell.tabId === tabId) {
+    activeDwell = null;
+  }
+  if (tabUsageStats.delete(tabId)) {
+    persistTabUsageStats();
+  }
+  historyNavigationTabs.delete(tabId);
+  removeFromActivationHistory(tabId);
+  // Closing a window (including every window at browser exit) leaves the restart
+  // history alone so the order can be restored with the session
+  persistMRUOrder({ updateHistory: !removeInfo.isWindowClosing });
 });
 
 // Listen for tab updates (URL changes, page load completion)
@@ -229,7 +1190,9 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 // Handle window focus changes
 chrome.windows.onFocusChanged.addListener((windowId) => {
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
-    // No window focused
+    // No window focused: stop the dwell clock until the browser is back in front
+    endDwell();
+    persistTabUsageStats();
     return;
   }
   // Update MRU order when switching windows
@@ -239,16 +1202,32 @@ chrome.windows.onFocusChanged.addListener((windowId) => {
       mruTabOrder = mruTabOrder.filter(id => id !== tabId);
       mruTabOrder.unshift(tabId);
       persistMRUOrder();
+      // Coming back to a window counts as a visit, unless a history command is taking us there
+      if (!historyNavigationWindows.delete(windowId)) {
+        recordHistoryVisit(tabId);
+      }
+
+      // Focusing a window resumes timing its active tab without counting a new activation
+      endDwell();
+      getTabUsage(tabId);
+      activeDwell = { tabId, since: Date.now() };
+      persistTabUsageStats();
     }
   });
 });
 
 // Initialize MRU list when extension loads
-Promise.all([loadMRUOrder(), chrome.tabs.query({})]).then(([_, tabs]) => {
+const mruInitPromise = Promise.all([loadMRUOrder(), chrome.tabs.query({}), loadTabUsageStats(), loadActivationHistory()]).then(async ([_, tabs]) => {
   const allTabIds = new Set(tabs.map(t => t.id));
+  tabs.filter(t => t.incognito).forEach(t => incognitoTabIds.add(t.id));
   
   // Filter stored MRU to only include currently existing tabs
   let validMru = mruTabOrder.filter(id => allTabIds.has(id));
+
+  // Nothing from this browser session (e.g. after a restart): recover from the history
+  if (validMru.length === 0) {
+    validMru = await restoreMRUFromHistory(tabs);
+  }
   
   // Identify currently active tabs
   const activeTabs = tabs.filter(t => t.active);
@@ -270,6 +1249,10 @@ Promise.all([loadMRUOrder(), chrome.tabs.query({})]).then(([_, tabs]) => {
   
   mruTabOrder = validMru;
   persistMRUOrder();
+
+  // Tab IDs don't survive a restart, so only keep history entries for tabs that still exist
+  ({ entries: activationHistory, cursor: historyCursor } =
+    compactHistory(activationHistory, historyCursor, tabId => allTabIds.has(tabId)));
   
   // Capture screenshot of currently active tab in focused window
   const activeTab = tabs.find(t => t.active && t.windowId);
@@ -286,6 +1269,109 @@ chrome.commands.onCommand.addListener(async (command) => {
     toggleTabSwitcher("forward");
   } else if (command === "tab-switcher-backward") {
     toggleTabSwitcher("backward");
+  } else if (command === "tab-history-back") {
+    navigateActivationHistory(-1);
+  } else if (command === "tab-history-forward") {
+    navigateActivationHistory(1);
+  }
+});
+
+// Omnibox keyword: "t <query>" in the address bar suggests open tabs in MRU order,
+// matched on title and URL. It works from any page, including ones the overlay can't run on.
+const MAX_OMNIBOX_SUGGESTIONS = 8;
+const OMNIBOX_CONTENT_PREFIX = 'tab:';
+
+function escapeOmniboxText(text = '') {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Wrap every occurrence of the query words in <match> so the address bar highlights them
+function highlightOmniboxText(text = '', tokens) {
+  const lowerText = text.toLowerCase();
+  const marked = new Array(text.length).fill(false);
+  tokens.forEach(token => {
+    let index = lowerText.indexOf(token);
+    while (index !== -1) {
+      marked.fill(true, index, index + token.length);
+      index = lowerText.indexOf(token, index + token.length);
+    }
+  });
+
+  let result = '';
+  let start = 0;
+  while (start < text.length) {
+    let end = start;
+    while (end < text.length && marked[end] === marked[start]) end++;
+    const chunk = escapeOmniboxText(text.slice(start, end));
+    result += marked[start] ? `<match>${chunk}</match>` : chunk;
+    start = end;
+  }
+  return result;
+}
+
+// Open tabs matching every query word (in the title or URL), most recently used first.
+// The active tab of the focused window is left out, and incognito and regular tabs never mix.
+async function findOmniboxTabs(text) {
+  const tokens = text.toLowerCase().split(/\s+/).filter(Boolean);
+  const focusedWindow = await chrome.windows.getLastFocused().catch(() => null);
+  const incognito = !!(focusedWindow && focusedWindow.incognito);
+  const tabs = (await chrome.tabs.query({ windowType: 'normal' }))
+    .filter(tab => tab.incognito === incognito)
+    .filter(tab => !(focusedWindow && tab.windowId === focusedWindow.id && tab.active))
+    .filter(tab => {
+      const haystack = `${tab.title || ''} ${tab.url || ''}`.toLowerCase();
+      return tokens.every(token => haystack.includes(token));
+    });
+  return { tabs: sortTabsByMRU(tabs), tokens, focusedWindow };
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: 'Switch to an open tab' });
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  try {
+    const { tabs, tokens } = await findOmniboxTabs(text);
+    const [topTab] = tabs;
+    chrome.omnibox.setDefaultSuggestion({
+      description: topTab
+        ? `Switch to: ${highlightOmniboxText(topTab.title || topTab.url, tokens)}`
+        : 'No matching tabs'
+    });
+    // The default suggestion already stands for the top match
+    suggest(tabs.slice(1, MAX_OMNIBOX_SUGGESTIONS + 1).map(tab => ({
+      content: `${OMNIBOX_CONTENT_PREFIX}${tab.id}`,
+      description: `${highlightOmniboxText(tab.title || tab.url, tokens)} <dim>-</dim> <url>${highlightOmniboxText(tab.url, tokens)}</url>`
+    })));
+  } catch (error) {
+    console.warn('Failed to suggest tabs', error);
+  }
+});
+
+// A picked suggestion carries its tab id; plain text entered as-is goes to the top match
+chrome.omnibox.onInputEntered.addListener(async (text) => {
+  try {
+    let pickedId;
+    let focusedWindow;
+    if (text.startsWith(OMNIBOX_CONTENT_PREFIX)) {
+      pickedId = parseInt(text.slice(OMNIBOX_CONTENT_PREFIX.length), 10);
+      focusedWindow = await chrome.windows.getLastFocused().catch(() => null);
+    } else {
+      const result = await findOmniboxTabs(text);
+      pickedId = result.tabs[0]?.id;
+      focusedWindow = result.focusedWindow;
+    }
+    if (pickedId === undefined || Number.isNaN(pickedId)) return;
+
+    if (focusedWindow) {
+      await captureOutgoingTab(focusedWindow.id, pickedId);
+    }
+    await activateTab(pickedId);
+  } catch (error) {
+    console.warn('Failed to switch to tab from the omnibox', error);
   }
 });
 
@@ -326,7 +1412,7 @@ async function ensureContentScript(tabId) {
     try {
       await chrome.scripting.executeScript({
         target: { tabId: tabId },
-        files: ['content.js']
+        files: ['settings.js', 'content.js']
       });
       
       // Give it a moment to initialize
@@ -339,6 +1425,436 @@ async function ensureContentScript(tabId) {
   }
 }
 
+// Label each normal window for the all-windows switcher ("This window", "Window 2", ...),
+// numbering only windows of the same kind (incognito or regular) as the current one
+async function getWindowLabels(currentWindowId, incognito = false) {
+  const labels = new Map();
+  try {
+    const windows = (await chrome.windows.getAll({ windowTypes: ['normal'] }))
+      .filter(win => win.incognito === incognito);
+    windows.forEach((win, index) => {
+      labels.set(win.id, win.id === currentWindowId ? 'This window' : `Window ${index + 1}`);
+    });
+  } catch (error) {
+    console.warn('Failed to label windows', error);
+  }
+  return labels;
+}
+
+// Activate a tab, focusing its window first if it lives in another window
+async function activateTab(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const focusedWindow = await chrome.windows.getLastFocused();
+  if (!focusedWindow || focusedWindow.id !== tab.windowId || !focusedWindow.focused) {
+    await chrome.windows.update(tab.windowId, { focused: true });
+  }
+  // Expand a collapsed tab group so the chosen tab is visible in the tab strip
+  if (tab.groupId !== undefined && tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+    try {
+      const group = await chrome.tabGroups.get(tab.groupId);
+      if (group.collapsed) {
+        await chrome.tabGroups.update(group.id, { collapsed: false });
+      }
+    } catch (error) {
+      console.warn('Failed to expand tab group', error);
+    }
+  }
+  await chrome.tabs.update(tabId, { active: true });
+}
+
+// Tab group metadata keyed by group id, for group stripes and names on cards
+async function getTabGroups() {
+  const groups = new Map();
+  try {
+    const tabGroups = await chrome.tabGroups.query({});
+    tabGroups.forEach(group => {
+      groups.set(group.id, {
+        id: group.id,
+        title: group.title || '',
+        color: group.color,
+        collapsed: group.collapsed
+      });
+    });
+  } catch (error) {
+    console.warn('Failed to read tab groups', error);
+  }
+  return groups;
+}
+
+// Pull each tab group together at the position of its most recently used tab
+function clusterTabsByGroup(tabs) {
+  const clustered = [];
+  const emittedGroups = new Set();
+
+  for (const tab of tabs) {
+    if (!tab.group) {
+      clustered.push({ ...tab, clusterKey: null });
+    } else if (!emittedGroups.has(tab.group.id)) {
+      emittedGroups.add(tab.group.id);
+      clustered.push(...tabs
+        .filter(t => t.group && t.group.id === tab.group.id)
+        .map(t => ({ ...t, clusterKey: `group-${t.group.id}` })));
+    }
+  }
+
+  return clustered;
+}
+
+// Group tabs from the same site together; sites are ordered by their most recently used
+// tab and tabs keep their MRU order within a site
+function clusterTabsByDomain(tabs) {
+  const domains = new Map();
+  for (const tab of tabs) {
+    const domain = getTabDomain(tab);
+    if (!domains.has(domain)) {
+      domains.set(domain, []);
+    }
+    domains.get(domain).push({ ...tab, clusterKey: domain });
+  }
+  return [...domains.values()].flat();
+}
+
+function getTabDomain(tab) {
+  try {
+    return new URL(tab.url).hostname.replace(/^www\./, '') || tab.url;
+  } catch (error) {
+    return tab.url || '';
+  }
+}
+
+// Follow each window's tab strip from left to right; windows come in the order they were
+// last used, so the current window's tabs come first
+function sortTabsByStrip(tabs) {
+  const windowRank = new Map();
+  sortTabsByMRU(tabs).forEach(tab => {
+    if (!windowRank.has(tab.windowId)) {
+      windowRank.set(tab.windowId, windowRank.size);
+    }
+  });
+  return [...tabs].sort((a, b) =>
+    windowRank.get(a.windowId) - windowRank.get(b.windowId) || a.index - b.index
+  );
+}
+
+// Highest frecency first; ties (such as tabs never activated) keep their MRU order
+function sortTabsByFrecency(tabs) {
+  const now = Date.now();
+  const scores = new Map(tabs.map(tab => [tab.id, getFrecencyScore(tab.id, now)]));
+  return sortTabsByMRU(tabs).sort((a, b) => scores.get(b.id) - scores.get(a.id));
+}
+
+// Order tabs for the switcher according to the tabOrder setting
+function sortTabsForSwitcher(tabs, tabOrder) {
+  switch (tabOrder) {
+    case 'tabStrip':
+      return sortTabsByStrip(tabs);
+    case 'frecency':
+      return sortTabsByFrecency(tabs);
+    case 'domain':
+      return clusterTabsByDomain(sortTabsByMRU(tabs));
+    default:
+      return sortTabsByMRU(tabs);
+  }
+}
+
+// Build the ordered tab list sent to the switcher UI
+async function buildSwitcherTabs(windowId, settings) {
+  const allWindows = settings.switcherScope === 'all';
+
+  // Get tabs in the given window, or every normal window of the same kind in all-windows mode
+  const { incognito } = await chrome.windows.get(windowId);
+  const allTabs = allWindows
+    ? (await chrome.tabs.query({ windowType: 'normal' })).filter(t => t.incognito === incognito)
+    : await chrome.tabs.query({ windowId });
+  const windowLabels = allWindows ? await getWindowLabels(windowId, incognito) : null;
+  const tabGroups = await getTabGroups();
+
+  // Sort tabs by the chosen order (MRU is global, so it interleaves windows)
+  let sortedTabs = sortTabsForSwitcher(allTabs, settings.tabOrder).map(t => ({
+    ...t,
+    group: tabGroups.get(t.groupId) || null
+  }));
+
+  if (!settings.includeCollapsedGroups) {
+    sortedTabs = sortedTabs.filter(t => !t.group || !t.group.collapsed);
+  }
+  if (settings.groupByTabGroup) {
+    sortedTabs = clusterTabsByGroup(sortedTabs);
+  }
+
+  // Every tab is sent so search can find tabs past the visible cards. Screenshots
+  // are not included; the switcher requests them over its session port.
+  return sortedTabs.map(t => ({
+    ...t,
+    windowLabel: windowLabels ? (windowLabels.get(t.windowId) || null) : null
+  }));
+}
+
+// Recently closed tabs for the strip shown after the MRU list
+const MAX_RECENTLY_CLOSED = 10;
+
+async function getRecentlyClosedTabs() {
+  try {
+    const sessions = await chrome.sessions.getRecentlyClosed({ maxResults: MAX_RECENTLY_CLOSED });
+    return sessions
+      .filter(session => session.tab && session.tab.sessionId && !isRestrictedUrl(session.tab.url))
+      .map(session => ({
+        sessionId: session.tab.sessionId,
+        title: session.tab.title,
+        url: session.tab.url,
+        favIconUrl: session.tab.favIconUrl,
+        closedAt: session.lastModified
+      }));
+  } catch (error) {
+    console.warn('Failed to read recently closed tabs', error);
+    return [];
+  }
+}
+
+// Restore a closed tab (Chrome puts it back at its original window and index) and focus it
+async function restoreClosedTab(sessionId) {
+  const session = await chrome.sessions.restore(sessionId);
+  const restoredTab = session && session.tab;
+  if (restoredTab && restoredTab.windowId !== undefined) {
+    await chrome.windows.update(restoredTab.windowId, { focused: true });
+  }
+}
+
+// Tab management actions the switcher can run on its selected card
+const tabActions = {
+  closeTab: (tab) => chrome.tabs.remove(tab.id),
+  togglePinTab: (tab) => chrome.tabs.update(tab.id, { pinned: !tab.pinned }),
+  toggleMuteTab: (tab) => chrome.tabs.update(tab.id, { muted: !(tab.mutedInfo && tab.mutedInfo.muted) }),
+  reloadTab: (tab) => chrome.tabs.reload(tab.id),
+  duplicateTab: (tab) => chrome.tabs.duplicate(tab.id),
+  // Keep focus on the switcher's window so the overlay stays open
+  moveTabToNewWindow: (tab) => chrome.windows.create({ tabId: tab.id, focused: false })
+};
+
+// With incognito "spanning", one service worker serves normal and incognito pages; a page
+// may only act on tabs from its own side. The source window stands in when there is no tab.
+async function getTabForSender(tabId, senderTab, senderWindowId) {
+  const tab = await chrome.tabs.get(tabId);
+  const incognito = senderTab
+    ? senderTab.incognito
+    : (await chrome.windows.get(senderWindowId)).incognito;
+  if (tab.incognito !== !!incognito) {
+    throw new Error('Incognito and normal windows cannot act on each other\'s tabs');
+  }
+  return tab;
+}
+
+// Run a tab action and return the refreshed tab list so the switcher can re-render in place
+async function runTabAction(action, tabId, senderTab, senderWindowId) {
+  const tab = await getTabForSender(tabId, senderTab, senderWindowId);
+  await tabActions[action](tab);
+
+  const settings = await loadSettings();
+  const windowId = senderTab?.windowId ?? tab.windowId;
+  const tabs = await buildSwitcherTabs(windowId, settings);
+  const closedTabs = await getRecentlyClosedTabs();
+  return { success: true, tabs, closedTabs };
+}
+
+// Build the message that shows the switcher (or advances its selection)
+async function buildToggleMessage(tab, direction) {
+  const settings = await loadSettings();
+  const allWindows = settings.switcherScope === 'all';
+  const tabsWithScreenshots = await buildSwitcherTabs(tab.windowId, settings);
+  const closedTabs = await getRecentlyClosedTabs();
+
+  return {
+    action: "toggleSwitcher",
+    tabs: tabsWithScreenshots,
+    closedTabs: closedTabs,
+    currentTabId: tab.id,
+    direction: direction,
+    allWindows: allWindows,
+    // Tab groups win over domain clusters when both are on
+    clustered: !!settings.groupByTabGroup || settings.tabOrder === 'domain'
+  };
+}
+
+// Fallback switcher hosted in an extension popup window, used where content
+// scripts can't run (chrome:// pages, the new tab page, the Web Store, PDFs...)
+let fallbackSwitcher = null; // { windowId, sourceTab, port, pendingMessage }
+
+async function showFallbackSwitcher(sourceTab, message) {
+  if (fallbackSwitcher) {
+    if (fallbackSwitcher.port) {
+      fallbackSwitcher.port.postMessage(message);
+    } else {
+      fallbackSwitcher.pendingMessage = message;
+    }
+    return;
+  }
+
+  fallbackSwitcher = { windowId: null, sourceTab, port: null, pendingMessage: message };
+
+  const baseWindow = await getWindowBounds(sourceTab.windowId);
+  const width = Math.max(480, Math.round(baseWindow.width * 0.85));
+  const height = Math.min(baseWindow.height, 480);
+
+  try {
+    const switcherWindow = await chrome.windows.create({
+      url: chrome.runtime.getURL('switcher.html'),
+      type: 'popup',
+      focused: true,
+      width,
+      height,
+      left: Math.max(0, Math.round(baseWindow.left + (baseWindow.width - width) / 2)),
+      top: Math.max(0, Math.round(baseWindow.top + (baseWindow.height - height) / 2))
+    });
+    if (fallbackSwitcher) {
+      fallbackSwitcher.windowId = switcherWindow.id;
+    }
+  } catch (error) {
+    fallbackSwitcher = null;
+    console.error("Could not open fallback switcher:", error);
+  }
+}
+
+function closeFallbackSwitcher() {
+  if (!fallbackSwitcher) return;
+  const { windowId } = fallbackSwitcher;
+  fallbackSwitcher = null;
+  if (windowId !== null) {
+    chrome.windows.remove(windowId).catch(() => {});
+  }
+}
+
+function isFallbackSwitcherSender(sender) {
+  return !!(fallbackSwitcher && sender.tab && sender.tab.windowId === fallbackSwitcher.windowId);
+}
+
+// The fallback switcher page connects once it has loaded and receives toggle messages over the port
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'fallbackSwitcher') return;
+  if (!fallbackSwitcher) {
+    port.disconnect();
+    return;
+  }
+
+  fallbackSwitcher.port = port;
+  if (fallbackSwitcher.pendingMessage) {
+    port.postMessage(fallbackSwitcher.pendingMessage);
+    fallbackSwitcher.pendingMessage = null;
+  }
+
+  port.onDisconnect.addListener(() => {
+    if (fallbackSwitcher && fallbackSwitcher.port === port) {
+      fallbackSwitcher = null;
+      // The window may have been closed without the switcher hiding first
+      switcherVisible = false;
+    }
+  });
+});
+
+chrome.windows.onRemoved.addListener((windowId) => {
+  if (fallbackSwitcher && fallbackSwitcher.windowId === windowId) {
+    fallbackSwitcher = null;
+  }
+});
+
+// "Clear previews on browser exit": wipe the cache when the last window closes, and
+// again at startup in case the browser quit before that finished
+async function clearPreviewsIfRequested() {
+  const settings = await loadSettings();
+  if (!settings.clearPreviewsOnExit) return;
+  await cacheInitPromise;
+  await clearScreenshotCache();
+}
+
+chrome.windows.onRemoved.addListener(async () => {
+  const windows = await chrome.windows.getAll();
+  if (windows.length === 0) {
+    await clearPreviewsIfRequested();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  clearPreviewsIfRequested();
+});
+
+// New privacy rules or a smaller budget apply to screenshots already in the cache
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SETTINGS_KEY]) {
+    cacheInitPromise.then(pruneScreenshotCache);
+  }
+});
+
+// Session with the switcher UI that is currently open. The UI connects a port when
+// it shows; thumbnails stream to it on request, and repeated shortcut presses send
+// it a selection delta instead of rebuilding the whole tab list.
+let switcherSession = null; // { port, tabId, incognito }
+
+async function sendThumbnails(port, items, incognito) {
+  for (const item of items) {
+    const screenshot = await getScreenshot(item.tabId ?? null, item.url || null, incognito);
+    if (!screenshot) continue;
+    try {
+      port.postMessage({
+        action: "thumbnail",
+        key: item.key,
+        screenshot: screenshot.dataUrl,
+        capturedAt: screenshot.timestamp
+      });
+    } catch (error) {
+      // Port closed while streaming; the switcher is gone
+      return;
+    }
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'switcherSession' || !port.sender?.tab) return;
+
+  // The fallback window is a regular window even when it lists incognito tabs
+  const sourceTab = isFallbackSwitcherSender(port.sender) ? fallbackSwitcher.sourceTab : port.sender.tab;
+  const session = { port, tabId: port.sender.tab.id, incognito: !!sourceTab.incognito };
+  switcherSession = session;
+
+  port.onMessage.addListener((message) => {
+    if (message.action === "requestThumbnails" && Array.isArray(message.items)) {
+      sendThumbnails(port, message.items, session.incognito);
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    if (switcherSession && switcherSession.port === port) {
+      switcherSession = null;
+    }
+  });
+});
+
+// The toolbar popup (popup.html) lists the same tabs as the switcher for its window and
+// streams thumbnails over its own port, since it isn't a tab. The options page preview
+// uses that port too, so it never counts as an open switcher.
+async function buildPopupTabs(windowId) {
+  const settings = await loadSettings();
+  const tabs = await buildSwitcherTabs(windowId, settings);
+  const [activeTab] = await chrome.tabs.query({ active: true, windowId });
+  return {
+    tabs,
+    currentTabId: activeTab ? activeTab.id : null,
+    theme: settings.theme || 'dark',
+    accentColor: settings.accentColor || 'blue',
+    customTheme: getActiveCustomTheme(settings),
+    showPreviews: settings.showPreviews !== false
+  };
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'popupSwitcher') return;
+
+  port.onMessage.addListener(async (message) => {
+    if (message.action === "requestThumbnails" && Array.isArray(message.items)) {
+      const popupWindow = await chrome.windows.get(message.windowId).catch(() => null);
+      sendThumbnails(port, message.items, !!(popupWindow && popupWindow.incognito));
+    }
+  });
+});
+
 // Toggle the tab switcher
 async function toggleTabSwitcher(direction = "forward") {
   try {
@@ -351,45 +1867,44 @@ async function toggleTabSwitcher(direction = "forward") {
       return;
     }
 
-    // Check if tab URL is a restricted page
+    // Switcher already open in this tab (page overlay or fallback window): just move the selection
+    if (switcherSession && switcherSession.tabId === tab.id) {
+      try {
+        switcherSession.port.postMessage({ action: "moveSelection", direction: direction });
+        return;
+      } catch (error) {
+        switcherSession = null;
+      }
+    }
+
+    // Shortcut pressed again before the fallback switcher has connected: keep cycling there
+    if (fallbackSwitcher && tab.windowId === fallbackSwitcher.windowId) {
+      const sourceTab = fallbackSwitcher.sourceTab;
+      await showFallbackSwitcher(sourceTab, await buildToggleMessage(sourceTab, direction));
+      return;
+    }
+
+    const message = await buildToggleMessage(tab, direction);
+
+    // Restricted pages can't host the overlay, so use the fallback window
     if (tab.url && isRestrictedUrl(tab.url)) {
-      console.warn("Cannot run on restricted pages:", tab.url);
+      await showFallbackSwitcher(tab, message);
       return;
     }
     
     // Ensure content script is loaded
     const isLoaded = await ensureContentScript(tab.id);
     if (!isLoaded) {
-      console.error("Could not load content script");
+      await showFallbackSwitcher(tab, message);
       return;
     }
     
-    // Get all tabs in current window
-    const allTabs = await chrome.tabs.query({ currentWindow: true });
-    
-    // Sort tabs by MRU order
-    const sortedTabs = sortTabsByMRU(allTabs);
-    
-    // Optimization: Only send top 20 tabs to avoid massive payload with screenshots
-    // The UI calculates max based on width, but 20 is a safe upper bound for 4k screens
-    const tabsToSend = sortedTabs.slice(0, 20);
-    
-    // Attach cached screenshots to tabs (also try URL-based lookup for better cache hits)
-    const tabsWithScreenshots = tabsToSend.map(t => ({
-      ...t,
-      screenshot: getScreenshot(t.id, t.url) || null
-    }));
-    
     // Send message to content script to show/hide switcher
     try {
-      await chrome.tabs.sendMessage(tab.id, {
-        action: "toggleSwitcher",
-        tabs: tabsWithScreenshots,
-        currentTabId: tab.id,
-        direction: direction
-      });
+      await chrome.tabs.sendMessage(tab.id, message);
     } catch (messageError) {
-      console.error("Could not send message to tab:", messageError);
+      console.warn("Could not send message to tab, using fallback switcher:", messageError);
+      await showFallbackSwitcher(tab, message);
     }
   } catch (error) {
     console.error("Error toggling tab switcher:", error);
@@ -398,16 +1913,82 @@ async function toggleTabSwitcher(direction = "forward") {
 
 // Listen for tab switching requests from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // The tab the switcher was shown over (the fallback window stands in for its source tab)
+  const sourceTab = isFallbackSwitcherSender(sender) ? fallbackSwitcher.sourceTab : sender.tab;
+  // The toolbar popup has no tab of its own, so it names its browser window
+  const sourceWindowId = sourceTab?.windowId ?? request.windowId;
+
   if (request.action === "switchToTab") {
-    chrome.tabs.update(request.tabId, { active: true })
+    getTabForSender(request.tabId, sourceTab, sourceWindowId)
+      .then(() => captureOutgoingTab(sourceWindowId, request.tabId))
+      .then(() => activateTab(request.tabId))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "restoreClosedTab") {
+    captureOutgoingTab(sourceWindowId, null)
+      .then(() => restoreClosedTab(request.sessionId))
       .then(() => sendResponse({ success: true }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
+  } else if (Object.hasOwn(tabActions, request.action)) {
+    // Actions from the fallback window refer to the window it was opened over
+    runTabAction(request.action, request.tabId, sourceTab, sourceWindowId)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "refreshPreview") {
+    // The fallback window never overlays a page, so every tab can be captured from it
+    const hostTabId = isFallbackSwitcherSender(sender) ? null : sender.tab?.id;
+    getTabForSender(request.tabId, sourceTab, sourceWindowId)
+      .then(() => refreshTabPreview(request.tabId, hostTabId))
+      .then(screenshot => sendResponse({
+        success: true,
+        screenshot: screenshot ? screenshot.dataUrl : null,
+        capturedAt: screenshot ? screenshot.timestamp : null
+      }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "refreshAllPreviews") {
+    refreshAllPreviews()
+      .then(count => sendResponse({ success: true, count: count }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   } else if (request.action === "getAllTabs") {
-    chrome.tabs.query({ currentWindow: true })
-      .then(tabs => sendResponse({ tabs: tabs }))
+    chrome.tabs.query(request.allWindows ? { windowType: 'normal' } : { currentWindow: true })
+      .then(tabs => sendResponse({ tabs: tabs.filter(t => t.incognito === !!sourceTab?.incognito) }))
       .catch(error => sendResponse({ tabs: [], error: error.message }));
     return true; // Will respond asynchronously
+  } else if (request.action === "getPopupTabs") {
+    buildPopupTabs(request.windowId)
+      .then(sendResponse)
+      .catch(error => sendResponse({ tabs: [], error: error.message }));
+    return true;
+  } else if (request.action === "getSwitcherPreview") {
+    // The options page preview shows what the shortcut would open in its window
+    if (!sourceTab) {
+      sendResponse({ tabs: [], error: 'No tab' });
+      return;
+    }
+    buildToggleMessage(sourceTab, "forward")
+      .then(sendResponse)
+      .catch(error => sendResponse({ tabs: [], error: error.message }));
+    return true;
+  } else if (request.action === "setSettingsSync") {
+    setSettingsSync(!!request.enabled)
+      .then(settings => sendResponse({ success: true, settings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "exportSettings") {
+    loadSettings()
+      .then(settings => sendResponse({ success: true, data: exportSettings(settings) }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "importSettings") {
+    importSettings(request.data)
+      .then(({ settings, warnings }) => sendResponse({ success: true, settings, warnings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   } else if (request.action === "openInPopup") {
     openUrlInPopup(request.url, sender.tab, request.sizePercent)
       .then(sendResponse)
@@ -426,6 +2007,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Switcher is now hidden - can capture screenshots again
     switcherVisible = false;
 
+    // The fallback window has done its job once its switcher hides
+    if (isFallbackSwitcherSender(sender)) {
+      closeFallbackSwitcher();
+      sendResponse({ success: true });
+      return;
+    }
+
     // Capture screenshot of the newly active tab after switcher is hidden
     if (sender.tab && sender.tab.id) {
       chrome.tabs.get(sender.tab.id).then(tab => {
@@ -437,8 +2025,3 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     sendResponse({ success: true });
   }
 });
-
-// Open options page when extension icon is clicked
-chrome.action.onClicked.addListener(() => {
-  chrome.runtime.openOptionsPage();
-});
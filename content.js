@@ -3,9 +3,30 @@
 let switcherVisible = false;
 let shadowRoot = null;
 let currentTabs = [];
+let currentClosedTabs = [];
 let currentTabId = null;
+let allWindowsMode = false;
+let clusteredOrder = false; // tabs arrive grouped by tab group or site
+// Set by preview.js in the options page's live preview: the switcher and peek are drawn
+// for show, without a switcher session. Key presses and clicks in them do nothing, so the
+// preview never switches, changes or opens tabs and is never closed by a click.
+let isOptionsPreview = false;
+
+// Port to the background while the switcher is open: thumbnails stream in over it
+// and repeated shortcut presses arrive as selection deltas
+let switcherPort = null;
+let thumbnailCache = new Map(); // Map<thumbnailKey, { screenshot, capturedAt }>
+let requestedThumbnails = new Set();
+let pendingThumbnailRequests = [];
 let selectedIndex = 0;
 let searchQuery = "";
+// Once the user starts typing, runs a tab action or refreshes a preview, releasing the modifiers no longer switches tabs
+let keepOpen = false;
+// A preview refresh briefly activates another tab; the page blur it causes must not switch
+let refreshingPreview = false;
+// Screen reader support: the page element to refocus on close, and the last announcement
+let switcherReturnFocus = null;
+let lastAnnouncement = "";
 
 // Track modifier key states
 let ctrlPressed = false;
@@ -17,19 +38,10 @@ let altPressed = false;
 let safetyTimeout = null;
 const SAFETY_TIMEOUT_MS = 10000; // 10 seconds max
 
-// Settings
-const SETTINGS_KEY = 'tabSwitcherSettings';
-const LEGACY_SETTINGS_KEY = 'arcTabSwitcherSettings';
-let currentSettings = {
-  theme: 'dark',
-  accentColor: 'blue',
-  previewSize: 100,
-  maxTabs: 'auto',
-  showPreviews: true,
-  peekModifier: 'Alt',
-  peekSize: 75,
-  peekBlur: 4
-};
+// Settings (defaults, ranges and validation come from settings.js, loaded first)
+let currentSettings = { ...defaultSettings };
+
+const SYSTEM_FONT_STACK = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
 
 // Accent color map
 const accentColors = {
@@ -42,29 +54,162 @@ const accentColors = {
   teal: { primary: '#14b8a6', hover: 'rgba(20, 184, 166, 0.3)' }
 };
 
-// Load settings from storage
-async function loadSettings() {
-  try {
-    const result = await chrome.storage.local.get([SETTINGS_KEY, LEGACY_SETTINGS_KEY]);
-    const settings = result[SETTINGS_KEY] || result[LEGACY_SETTINGS_KEY];
+// Chrome tab group colors
+const tabGroupColors = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#1e8e3e',
+  pink: '#d01884',
+  purple: '#a142f4',
+  cyan: '#007b83',
+  orange: '#fa903e'
+};
 
-    if (settings) {
-      currentSettings = { ...currentSettings, ...settings };
-    }
+// Tab actions available on switcher cards: Alt+key on the selected card, or the hover buttons
+const TAB_ACTION_KEYS = {
+  KeyW: 'closeTab',
+  KeyP: 'togglePinTab',
+  KeyM: 'toggleMuteTab',
+  KeyR: 'reloadTab',
+  KeyD: 'duplicateTab',
+  KeyN: 'moveTabToNewWindow'
+};
+
+const TAB_ACTION_ICONS = {
+  closeTab: '<path d="M3 3l6 6M9 3l-6 6" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>',
+  togglePinTab: '<path d="M4.5 1.5h3M5 1.5v3L3 7h6L7 4.5v-3M6 7v3.5" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round" fill="none"/>',
+  toggleMuteTab: '<path d="M1.5 4.5h2l2.5-2v7l-2.5-2h-2z" stroke="currentColor" stroke-width="1.2" stroke-linejoin="round" fill="none"/><path d="M8 4.5c.7.8.7 2.2 0 3M9.5 3c1.4 1.6 1.4 4.4 0 6" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" fill="none"/>',
+  reloadTab: '<path d="M10 6a4 4 0 11-1.2-2.8M10 1.5v2.5H7.5" stroke="currentColor" stroke-width="1.3" stroke-linecap="round" stroke-linejoin="round" fill="none"/>',
+  duplicateTab: '<rect x="3.5" y="3.5" width="7" height="7" rx="1.2" stroke="currentColor" stroke-width="1.2" fill="none"/><path d="M1.5 8V2.7c0-.7.5-1.2 1.2-1.2H8" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" fill="none"/>',
+  moveTabToNewWindow: '<rect x="1.5" y="2.5" width="9" height="7" rx="1.2" stroke="currentColor" stroke-width="1.2" fill="none"/><path d="M1.5 4.5h9" stroke="currentColor" stroke-width="1.2"/>'
+};
+
+// Compact status badges shown next to a card's title
+const STATUS_BADGE_ICONS = {
+  audible: '<path d="M1.5 4.5h2l2.5-2v7l-2.5-2h-2z" fill="currentColor"/><path d="M8 4.5c.7.8.7 2.2 0 3M9.5 3c1.4 1.6 1.4 4.4 0 6" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" fill="none"/>',
+  muted: '<path d="M1.5 4.5h2l2.5-2v7l-2.5-2h-2z" fill="currentColor"/><path d="M8 4.5l3 3M11 4.5l-3 3" stroke="currentColor" stroke-width="1.2" stroke-linecap="round"/>',
+  pinned: '<path d="M4.5 1.5h3M5 1.5v3L3 7h6L7 4.5v-3M6 7v3.5" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round" fill="none"/>',
+  discarded: '<path d="M9.5 7.5A4 4 0 014.5 2.5a4 4 0 105 5z" stroke="currentColor" stroke-width="1.2" stroke-linejoin="round" fill="none"/>',
+  loading: '<circle cx="6" cy="6" r="4" stroke="currentColor" stroke-width="1.2" stroke-dasharray="2 1.5" fill="none"/>',
+  frozen: '<path d="M6 1v10M1.7 3.5l8.6 5M1.7 8.5l8.6-5" stroke="currentColor" stroke-width="1.2" stroke-linecap="round"/>'
+};
+
+const STATUS_BADGE_NAMES = {
+  audible: 'playing audio',
+  muted: 'muted',
+  pinned: 'pinned',
+  discarded: 'discarded',
+  loading: 'loading',
+  frozen: 'frozen'
+};
+
+function getStatusBadges(tab) {
+  const badges = [];
+  const muted = !!(tab.mutedInfo && tab.mutedInfo.muted);
+  if (muted) {
+    badges.push({ status: 'muted', label: 'Muted (click to unmute)' });
+  } else if (tab.audible) {
+    badges.push({ status: 'audible', label: 'Playing audio (click to mute)' });
+  }
+  if (tab.pinned) badges.push({ status: 'pinned', label: 'Pinned' });
+  if (tab.discarded) badges.push({ status: 'discarded', label: 'Discarded to save memory; reloads when opened' });
+  if (tab.status === 'loading') badges.push({ status: 'loading', label: 'Loading' });
+  if (tab.frozen) badges.push({ status: 'frozen', label: 'Frozen' });
+  return badges;
+}
 
-    if (!result[SETTINGS_KEY] && result[LEGACY_SETTINGS_KEY]) {
-      await chrome.storage.local.set({ [SETTINGS_KEY]: result[LEGACY_SETTINGS_KEY] });
+// Badge row for a card; the speaker badge toggles mute
+function createStatusBadges(tab) {
+  const badges = getStatusBadges(tab);
+  if (badges.length === 0) return null;
+
+  // The card's accessible label already lists these states
+  const container = document.createElement('div');
+  container.className = 'tab-switcher-badges';
+  container.setAttribute('aria-hidden', 'true');
+  badges.forEach(({ status, label }) => {
+    const isSpeaker = status === 'audible' || status === 'muted';
+    const badge = document.createElement(isSpeaker ? 'button' : 'div');
+    badge.className = `tab-switcher-badge ${status}`;
+    badge.setAttribute('title', label);
+    badge.innerHTML = `<svg width="12" height="12" viewBox="0 0 12 12">${STATUS_BADGE_ICONS[status]}</svg>`;
+    if (isSpeaker) {
+      badge.tabIndex = -1;
+      badge.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        runTabAction('toggleMuteTab', tab.id);
+      });
     }
+    container.appendChild(badge);
+  });
+  return container;
+}
+
+// Alt+S on the selected card recaptures its preview
+const REFRESH_PREVIEW_KEY = 'KeyS';
+
+function getTabActionTitle(action, tab) {
+  switch (action) {
+    case 'closeTab': return 'Close tab (Delete / Alt+W)';
+    case 'togglePinTab': return tab.pinned ? 'Unpin tab (Alt+P)' : 'Pin tab (Alt+P)';
+    case 'toggleMuteTab': return tab.mutedInfo && tab.mutedInfo.muted ? 'Unmute tab (Alt+M)' : 'Mute tab (Alt+M)';
+    case 'reloadTab': return 'Reload tab (Alt+R)';
+    case 'duplicateTab': return 'Duplicate tab (Alt+D)';
+    case 'moveTabToNewWindow': return 'Move to new window (Alt+N)';
+    default: return '';
+  }
+}
+
+// Load settings from storage
+async function loadSettings() {
+  try {
+    // The background migrates stored settings (including the old storage key)
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    applyStoredSettings(result[SETTINGS_KEY]);
   } catch (error) {
     // Silently fail, use defaults
   }
 }
 
+function applyStoredSettings(stored) {
+  currentSettings = validateSettings({ ...defaultSettings, ...(stored || {}) }).settings;
+  peekGlobalStyle.textContent = getPeekHintStyles();
+}
+
 // Load settings on init
 loadSettings();
 
+// Settings changed in the options page, or arrived through sync: apply them to this page
+// right away, including an open switcher or peek
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[SETTINGS_KEY]) return;
+  const previousSettings = currentSettings;
+  applyStoredSettings(changes[SETTINGS_KEY].newValue);
+
+  if (currentSettings.peekModifier !== previousSettings.peekModifier) {
+    hidePeekHints();
+  }
+  refreshOpenOverlays();
+});
+
+// Restyle an open switcher or peek after the settings change
+function refreshOpenOverlays() {
+  if (switcherVisible && shadowRoot) {
+    shadowRoot.getElementById('tab-switcher-theme').textContent = getThemeStyles();
+    shadowRoot.getElementById('tab-switcher-overlay').className = `theme-${getEffectiveTheme()}`;
+    renderTabs();
+  }
+
+  if (peekVisible && peekShadowRoot) {
+    peekShadowRoot.getElementById('peek-styles').textContent = getPeekStyles();
+  }
+}
+
 function getPreviewDimensions() {
-  const scale = Math.min(150, Math.max(75, parseInt(currentSettings.previewSize, 10) || 100)) / 100;
+  const scale = currentSettings.previewSize / 100;
 
   return {
     cardWidth: Math.round(160 * scale),
@@ -88,35 +233,300 @@ window.addEventListener('blur', () => {
   metaPressed = false;
   shiftPressed = false;
   altPressed = false;
+  if (isOptionsPreview) return;
+
+  // Sticky mode never relies on modifier release, so losing focus just closes it
+  if (switcherVisible && !refreshingPreview && currentSettings.stickyMode) {
+    hideSwitcher();
+    return;
+  }
 
   // Close switcher when window loses focus (modifier key released outside window)
-  if (switcherVisible) {
+  if (switcherVisible && !refreshingPreview) {
     const filteredTabs = getFilteredTabs();
     if (filteredTabs[selectedIndex]) {
-      switchToTab(filteredTabs[selectedIndex].id);
+      openSwitcherItem(filteredTabs[selectedIndex]);
     } else {
       hideSwitcher();
     }
   }
 });
 
-// Calculate how many tabs can fit in the current window width
-function getMaxTabsForWidth() {
-  // If user set a specific max, use that
-  if (currentSettings.maxTabs !== 'auto') {
-    return parseInt(currentSettings.maxTabs, 10);
-  }
+const GRID_GAP = 8;
+const GRID_SCROLLBAR_WIDTH = 8;
 
+// Calculate how many cards fit in one row of the current window width
+function getColumnsForWidth() {
   const windowWidth = window.innerWidth;
   const { cardWidth } = getPreviewDimensions();
-  const tabGap = 8;
   const containerPadding = 24;
   const minMargin = 100;
 
   const availableWidth = windowWidth - minMargin * 2 - containerPadding;
-  const maxTabs = Math.floor((availableWidth + tabGap) / (cardWidth + tabGap));
+  const fittingColumns = Math.max(1, Math.floor((availableWidth + GRID_GAP) / (cardWidth + GRID_GAP)));
+
+  // If user set a specific number per row, use that (but never overflow the window)
+  if (currentSettings.maxTabs !== 'auto') {
+    return Math.max(1, Math.min(fittingColumns, parseInt(currentSettings.maxTabs, 10) || fittingColumns));
+  }
+
+  return fittingColumns;
+}
+
+// Calculate how many rows fit in the window height, leaving room for the search bar and closed strip
+function getVisibleRowsForHeight(hasClosedStrip) {
+  const { cardHeight } = getPreviewDimensions();
+  const containerPadding = 24;
+  const minMargin = 80;
+  const searchBarHeight = searchQuery ? 40 : 0;
+  const closedStripHeight = hasClosedStrip ? cardHeight + 40 : 0;
+
+  const availableHeight = window.innerHeight - minMargin * 2 - containerPadding - searchBarHeight - closedStripHeight;
+  return Math.max(1, Math.floor((availableHeight + GRID_GAP) / (cardHeight + GRID_GAP)));
+}
+
+// Grid layout for the filtered items: open tabs fill rows, the closed strip is one extra row
+function getGridLayout(filteredTabs) {
+  const openCount = filteredTabs.filter(tab => !tab.closed).length;
+  const closedCount = filteredTabs.length - openCount;
+  const columns = getColumnsForWidth();
+  const totalRows = Math.ceil(openCount / columns);
+  const visibleRows = Math.min(totalRows, getVisibleRowsForHeight(closedCount > 0));
+
+  return { openCount, closedCount, columns, totalRows, visibleRows };
+}
+
+function getGridPosition(index, layout) {
+  if (index < layout.openCount) {
+    return { row: Math.floor(index / layout.columns), column: index % layout.columns };
+  }
+  return { row: layout.totalRows, column: index - layout.openCount };
+}
+
+function getIndexAtGridPosition(row, column, layout) {
+  if (row >= layout.totalRows) {
+    return layout.openCount + Math.min(column, layout.closedCount - 1);
+  }
+  const rowStart = row * layout.columns;
+  const rowLength = Math.min(layout.columns, layout.openCount - rowStart);
+  return rowStart + Math.min(column, rowLength - 1);
+}
 
-  return Math.max(1, maxTabs);
+// Move the selection up or down by whole rows, keeping the column where possible
+function moveSelectionByRows(rowDelta) {
+  const filteredTabs = getFilteredTabs();
+  if (filteredTabs.length === 0) return;
+
+  const layout = getGridLayout(filteredTabs);
+  const rowCount = layout.totalRows + (layout.closedCount > 0 ? 1 : 0);
+  const position = getGridPosition(selectedIndex, layout);
+  const targetRow = Math.max(0, Math.min(rowCount - 1, position.row + rowDelta));
+
+  selectedIndex = getIndexAtGridPosition(targetRow, position.column, layout);
+  renderTabs();
+}
+
+// Advance the selection one card forward or backward, wrapping around
+function cycleSelection(direction) {
+  const filteredTabs = getFilteredTabs();
+  if (filteredTabs.length > 0) {
+    if (direction === "forward") {
+      selectedIndex = (selectedIndex + 1) % filteredTabs.length;
+    } else {
+      selectedIndex = (selectedIndex - 1 + filteredTabs.length) % filteredTabs.length;
+    }
+    renderTabs();
+  }
+}
+
+// Open the session port used for thumbnails and selection deltas. The options page
+// preview only needs thumbnails, so it uses the toolbar popup's port instead.
+function connectSwitcherSession() {
+  switcherPort = chrome.runtime.connect({ name: isOptionsPreview ? 'popupSwitcher' : 'switcherSession' });
+
+  switcherPort.onMessage.addListener((message) => {
+    if (!switcherVisible) return;
+    if (message.action === "thumbnail") {
+      applyThumbnail(message.key, message.screenshot, message.capturedAt);
+    } else if (message.action === "moveSelection") {
+      cycleSelection(message.direction || "forward");
+    }
+  });
+
+  switcherPort.onDisconnect.addListener(() => {
+    switcherPort = null;
+  });
+}
+
+function disconnectSwitcherSession() {
+  if (switcherPort) {
+    switcherPort.disconnect();
+    switcherPort = null;
+  }
+  thumbnailCache = new Map();
+  requestedThumbnails = new Set();
+  pendingThumbnailRequests = [];
+}
+
+function getThumbnailKey(tab) {
+  return tab.closed ? `closed-${tab.sessionId}` : `tab-${tab.id}`;
+}
+
+// Ask the background for thumbnails of cards rendered since the last request
+function flushThumbnailRequests() {
+  if (!switcherPort || pendingThumbnailRequests.length === 0) return;
+  try {
+    switcherPort.postMessage({ action: "requestThumbnails", items: pendingThumbnailRequests, windowId: getCurrentWindowId() });
+  } catch (error) {
+    console.warn("Could not request thumbnails:", error);
+  }
+  pendingThumbnailRequests = [];
+}
+
+// Swap a streamed thumbnail into its card if the card is currently rendered
+function applyThumbnail(key, screenshot, capturedAt) {
+  thumbnailCache.set(key, { screenshot, capturedAt });
+  if (!shadowRoot || !currentSettings.showPreviews) return;
+
+  const card = shadowRoot.querySelector(`.tab-switcher-card[data-thumbnail-key="${CSS.escape(key)}"]`);
+  const previewImg = card ? card.querySelector('.tab-switcher-preview > img') : null;
+  if (previewImg) {
+    previewImg.setAttribute('src', screenshot);
+    applyPreviewAge(card, capturedAt);
+  }
+}
+
+// Short capture age for a preview badge: "now", "5m", "3h", "2d"
+function formatPreviewAge(capturedAt) {
+  const minutes = Math.floor((Date.now() - capturedAt) / 60000);
+  if (minutes < 1) return 'now';
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d`;
+}
+
+// Show how old a card's preview is, and dim it once it passes the stale threshold
+function applyPreviewAge(card, capturedAt) {
+  const previewDiv = card.querySelector('.tab-switcher-preview');
+  let ageBadge = previewDiv.querySelector('.tab-switcher-age');
+  if (!capturedAt) {
+    if (ageBadge) ageBadge.remove();
+    card.classList.remove('stale');
+    return;
+  }
+
+  if (!ageBadge) {
+    ageBadge = document.createElement('div');
+    ageBadge.className = 'tab-switcher-age';
+    ageBadge.setAttribute('aria-hidden', 'true');
+    previewDiv.appendChild(ageBadge);
+  }
+  ageBadge.textContent = formatPreviewAge(capturedAt);
+  ageBadge.setAttribute('title', `Preview captured ${new Date(capturedAt).toLocaleString()} (Alt+S to refresh)`);
+
+  const staleMinutes = parseInt(currentSettings.stalePreviewMinutes, 10) || 0;
+  card.classList.toggle('stale', staleMinutes > 0 && Date.now() - capturedAt > staleMinutes * 60000);
+}
+
+// Show the switcher, or advance the selection if it is already open
+async function handleToggleSwitcher(request) {
+  // Keep every tab so search can reach past the visible cards
+  currentTabs = request.tabs || [];
+  currentClosedTabs = request.closedTabs || [];
+  currentTabId = request.currentTabId;
+  allWindowsMode = !!request.allWindows;
+  clusteredOrder = !!request.clustered;
+  const direction = request.direction || "forward";
+
+  if (switcherVisible) {
+    cycleSelection(direction);
+  } else {
+    searchQuery = "";
+    // Cycling starts among open tabs, next to the current one (first in MRU order, but
+    // anywhere in the other orders); the recently closed strip comes after them
+    const openTabs = getFilteredTabs().filter(tab => !tab.closed);
+    const visibleCount = openTabs.length;
+    const currentIndex = Math.max(0, openTabs.findIndex(tab => tab.id === currentTabId));
+    if (visibleCount === 0) {
+      selectedIndex = 0;
+    } else if (direction === "forward") {
+      selectedIndex = (currentIndex + 1) % visibleCount;
+    } else {
+      selectedIndex = (currentIndex - 1 + visibleCount) % visibleCount;
+    }
+    await showSwitcher();
+  }
+}
+
+// Small transient toast for the history back/forward commands, showing where in the
+// activation history this tab sits
+const HISTORY_TOAST_MS = 1600;
+let historyToastTimeout = null;
+
+async function showHistoryToast(request) {
+  await loadSettings();
+
+  if (historyToastTimeout) {
+    clearTimeout(historyToastTimeout);
+    historyToastTimeout = null;
+  }
+  const existingHost = document.getElementById('tab-switcher-toast-host');
+  if (existingHost) existingHost.remove();
+
+  const host = document.createElement('div');
+  host.id = 'tab-switcher-toast-host';
+  host.style.cssText = 'position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647; pointer-events: none;';
+  document.body.appendChild(host);
+
+  const toastRoot = host.attachShadow({ mode: 'open' });
+  const themeStyle = document.createElement('style');
+  themeStyle.textContent = getThemeStyles();
+  toastRoot.appendChild(themeStyle);
+
+  const toast = document.createElement('div');
+  toast.className = `tab-switcher-toast theme-${getEffectiveTheme()}`;
+  toast.setAttribute('role', 'status');
+  toast.style.visibility = 'hidden'; // Hide until styles are loaded
+
+  const arrow = document.createElement('span');
+  arrow.className = 'tab-switcher-toast-arrow';
+  arrow.setAttribute('aria-hidden', 'true');
+  arrow.textContent = request.direction === 'back' ? '\u2190' : '\u2192';
+
+  const label = document.createElement('span');
+  label.className = 'tab-switcher-toast-title';
+  if (request.edge) {
+    label.textContent = request.direction === 'back' ? 'No earlier tabs in history' : 'No later tabs in history';
+  } else {
+    label.textContent = request.title || '';
+  }
+  toast.append(arrow, label);
+
+  if (request.total > 0) {
+    const position = document.createElement('span');
+    position.className = 'tab-switcher-toast-position';
+    position.textContent = `${request.position} / ${request.total}`;
+    position.setAttribute('aria-label', `History position ${request.position} of ${request.total}`);
+    toast.appendChild(position);
+  }
+  toastRoot.appendChild(toast);
+
+  const styleLink = document.createElement('link');
+  styleLink.rel = 'stylesheet';
+  styleLink.href = chrome.runtime.getURL('styles.css');
+  await new Promise((resolve) => {
+    styleLink.onload = resolve;
+    styleLink.onerror = resolve;
+    toastRoot.insertBefore(styleLink, themeStyle);
+    setTimeout(resolve, 50);
+  });
+  toast.style.visibility = 'visible';
+
+  historyToastTimeout = setTimeout(() => {
+    historyToastTimeout = null;
+    host.remove();
+  }, HISTORY_TOAST_MS);
 }
 
 // Listen for messages from background script
@@ -126,31 +536,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (request.action === "ping") {
         sendResponse({ success: true });
       } else if (request.action === "toggleSwitcher") {
-        currentTabs = request.tabs || [];
-        currentTabId = request.currentTabId;
-        const direction = request.direction || "forward";
-
-        const maxTabs = getMaxTabsForWidth();
-        currentTabs = currentTabs.slice(0, maxTabs);
-
-        if (switcherVisible) {
-          const filteredTabs = getFilteredTabs();
-          if (filteredTabs.length > 0) {
-            if (direction === "forward") {
-              selectedIndex = (selectedIndex + 1) % filteredTabs.length;
-            } else {
-              selectedIndex = (selectedIndex - 1 + filteredTabs.length) % filteredTabs.length;
-            }
-            renderTabs();
-          }
-        } else {
-          if (direction === "forward") {
-            selectedIndex = currentTabs.length > 1 ? 1 : 0;
-          } else {
-            selectedIndex = currentTabs.length > 1 ? currentTabs.length - 1 : 0;
-          }
-          await showSwitcher();
-        }
+        await handleToggleSwitcher(request);
+        sendResponse({ success: true });
+      } else if (request.action === "showHistoryToast") {
+        await showHistoryToast(request);
         sendResponse({ success: true });
       }
     } catch (error) {
@@ -164,18 +553,77 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // Get the effective theme (resolve 'system' to actual theme)
 function getEffectiveTheme() {
   if (currentSettings.theme === 'system') {
+    if (window.matchMedia('(prefers-contrast: more), (forced-colors: active)').matches) {
+      return 'contrast';
+    }
     return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
   }
+  // A custom theme that was deleted falls back to dark
+  if (currentSettings.theme === 'custom' && !getActiveCustomTheme(currentSettings)) {
+    return 'dark';
+  }
   return currentSettings.theme;
 }
 
+// Accent for the current theme: a custom theme brings its own, with its selection color
+// as the highlight; otherwise the preset accent color
+function getAccent() {
+  if (getEffectiveTheme() === 'custom') {
+    const customTheme = getActiveCustomTheme(currentSettings);
+    return { primary: customTheme.accent, hover: customTheme.selection };
+  }
+  return accentColors[currentSettings.accentColor] || accentColors.blue;
+}
+
 // Generate theme-specific CSS variables
 function getThemeStyles() {
   const theme = getEffectiveTheme();
-  const accent = accentColors[currentSettings.accentColor] || accentColors.blue;
+  const accent = getAccent();
   const { cardWidth, cardHeight, previewHeight } = getPreviewDimensions();
 
-  if (theme === 'light') {
+  if (theme === 'custom') {
+    // Custom theme from the theme editor; secondary tones are mixed from its own colors
+    const customTheme = getActiveCustomTheme(currentSettings);
+    return `
+      :host {
+        --bg-primary: rgba(${hexToRgb(customTheme.background)}, ${customTheme.opacity / 100});
+        --bg-secondary: color-mix(in srgb, ${customTheme.text} 4%, transparent);
+        --bg-hover: color-mix(in srgb, ${customTheme.text} 8%, transparent);
+        --bg-selected: ${customTheme.selection};
+        --text-primary: ${customTheme.text};
+        --text-secondary: color-mix(in srgb, ${customTheme.text} 65%, ${customTheme.background});
+        --border-color: ${customTheme.border};
+        --shadow: 0 8px 32px rgba(0, 0, 0, 0.3), 0 0 0 1px ${customTheme.border};
+        --accent-color: ${accent.primary};
+        --accent-hover: ${accent.hover};
+        --switcher-radius: ${customTheme.radius}px;
+        --title-font-size: ${customTheme.titleSize}px;
+        ${customTheme.fontFamily ? `--switcher-font: ${formatFontFamilyList(customTheme.fontFamily)}, ${SYSTEM_FONT_STACK};` : ''}
+        --tab-card-width: ${cardWidth}px;
+        --tab-card-height: ${cardHeight}px;
+        --tab-preview-height: ${previewHeight}px;
+      }
+    `;
+  } else if (theme === 'contrast') {
+    // High contrast: opaque black, white text and borders, a yellow selection
+    return `
+      :host {
+        --bg-primary: #000000;
+        --bg-secondary: #000000;
+        --bg-hover: #1f1f1f;
+        --bg-selected: #000000;
+        --text-primary: #ffffff;
+        --text-secondary: #ffffff;
+        --border-color: #ffffff;
+        --shadow: 0 0 0 2px #ffffff;
+        --accent-color: #ffd60a;
+        --accent-hover: rgba(255, 214, 10, 0.25);
+        --tab-card-width: ${cardWidth}px;
+        --tab-card-height: ${cardHeight}px;
+        --tab-preview-height: ${previewHeight}px;
+      }
+    `;
+  } else if (theme === 'light') {
     return `
       :host {
         --bg-primary: rgba(255, 255, 255, 0.98);
@@ -223,17 +671,27 @@ async function showSwitcher() {
 
   switcherVisible = true;
   searchQuery = "";
+  lastAnnouncement = "";
+  switcherReturnFocus = document.activeElement;
+  // Sticky mode: releasing the shortcut keeps the switcher open until Enter, click or Escape
+  keepOpen = !!currentSettings.stickyMode;
+  connectSwitcherSession();
 
-  // Set safety timeout to auto-close if stuck
+  // Set safety timeout to auto-close if stuck (sticky mode stays open by design)
   if (safetyTimeout) clearTimeout(safetyTimeout);
-  safetyTimeout = setTimeout(() => {
-    if (switcherVisible) {
-      console.warn("Tab switcher safety timeout triggered - auto-closing");
-      hideSwitcher();
-    }
-  }, SAFETY_TIMEOUT_MS);
+  safetyTimeout = null;
+  if (!currentSettings.stickyMode && !isOptionsPreview) {
+    safetyTimeout = setTimeout(() => {
+      if (switcherVisible) {
+        console.warn("Tab switcher safety timeout triggered - auto-closing");
+        hideSwitcher();
+      }
+    }, SAFETY_TIMEOUT_MS);
+  }
 
-  chrome.runtime.sendMessage({ action: "switcherShown" });
+  if (!isOptionsPreview) {
+    chrome.runtime.sendMessage({ action: "switcherShown" });
+  }
 
   const host = document.createElement('div');
   host.id = 'tab-switcher-host';
@@ -243,6 +701,7 @@ async function showSwitcher() {
   shadowRoot = host.attachShadow({ mode: 'open' });
 
   const themeStyle = document.createElement('style');
+  themeStyle.id = 'tab-switcher-theme';
   themeStyle.textContent = getThemeStyles();
   shadowRoot.appendChild(themeStyle);
 
@@ -252,8 +711,17 @@ async function showSwitcher() {
   overlay.className = `theme-${theme}`;
   overlay.style.visibility = 'hidden'; // Hide until styles are loaded
   overlay.innerHTML = `
-    <div class="tab-switcher-container">
-      <div class="tab-switcher-grid" id="tab-switcher-grid"></div>
+    <div class="tab-switcher-container" role="dialog" aria-label="Tab switcher">
+      <div class="tab-switcher-search" id="tab-switcher-search">
+        <span class="tab-switcher-search-icon" aria-hidden="true">\u2315</span>
+        <span id="tab-switcher-search-input" aria-label="Search"></span>
+      </div>
+      <div class="tab-switcher-grid" id="tab-switcher-grid" role="listbox" aria-label="Open tabs" tabindex="-1"></div>
+      <div class="tab-switcher-closed" id="tab-switcher-closed">
+        <div class="tab-switcher-section-title" id="tab-switcher-closed-title">Recently closed</div>
+        <div class="tab-switcher-grid" id="tab-switcher-closed-grid" role="listbox" aria-labelledby="tab-switcher-closed-title" tabindex="-1"></div>
+      </div>
+      <div class="tab-switcher-sr-only" id="tab-switcher-announcer" aria-live="polite" aria-atomic="true"></div>
     </div>
   `;
 
@@ -275,9 +743,14 @@ async function showSwitcher() {
   renderTabs();
   overlay.style.visibility = 'visible'; // Now show the fully styled content
 
+  // Only cards in view are rendered, so fill in more as the grid scrolls
+  const grid = shadowRoot.getElementById('tab-switcher-grid');
+  grid.addEventListener('scroll', () => renderVisibleCards(), { passive: true });
+
   // Click outside to close
   overlay.addEventListener('click', (e) => {
     // If click is on the overlay itself (not on a tab card), close the switcher
+    if (isOptionsPreview) return;
     if (e.target === overlay || e.target.classList.contains('tab-switcher-container')) {
       e.preventDefault();
       e.stopPropagation();
@@ -302,23 +775,51 @@ function hideSwitcher() {
   }
   shadowRoot = null;
 
+  // Give focus back to whatever the page had focused before the switcher opened
+  if (switcherReturnFocus && switcherReturnFocus.isConnected && typeof switcherReturnFocus.focus === 'function') {
+    switcherReturnFocus.focus({ preventScroll: true });
+  }
+  switcherReturnFocus = null;
+
   switcherVisible = false;
   searchQuery = "";
+  keepOpen = false;
+  disconnectSwitcherSession();
 
   ctrlPressed = false;
   metaPressed = false;
   shiftPressed = false;
   altPressed = false;
 
-  chrome.runtime.sendMessage({ action: "switcherHidden" });
+  if (!isOptionsPreview) {
+    chrome.runtime.sendMessage({ action: "switcherHidden" });
+  }
+}
+
+function getCurrentWindowId() {
+  return currentTabs.find(t => t.id === currentTabId)?.windowId;
 }
 
-// Render tabs in the grid
+// The scrolling grid holds one sized inner element; only cards in view are rendered into it
+function getGridInner(grid) {
+  let inner = grid.querySelector('.tab-switcher-grid-inner');
+  if (!inner) {
+    inner = document.createElement('div');
+    inner.className = 'tab-switcher-grid-inner';
+    grid.replaceChildren(inner);
+  }
+  return inner;
+}
+
+// Render tabs in the grid, followed by the recently closed strip
 function renderTabs() {
   const grid = shadowRoot ? shadowRoot.getElementById('tab-switcher-grid') : null;
+  const closedSection = shadowRoot ? shadowRoot.getElementById('tab-switcher-closed') : null;
+  const closedGrid = shadowRoot ? shadowRoot.getElementById('tab-switcher-closed-grid') : null;
   if (!grid) return;
 
   const filteredTabs = getFilteredTabs();
+  renderSearchBar();
 
   if (selectedIndex >= filteredTabs.length) {
     selectedIndex = filteredTabs.length - 1;
@@ -327,123 +828,594 @@ function renderTabs() {
     selectedIndex = 0;
   }
 
-  grid.innerHTML = '';
+  if (closedGrid) closedGrid.innerHTML = '';
+
+  const layout = getGridLayout(filteredTabs);
+  if (closedSection) {
+    closedSection.classList.toggle('active', layout.closedCount > 0);
+  }
 
   if (filteredTabs.length === 0) {
+    grid.style.width = '';
+    grid.style.height = '';
     grid.innerHTML = '<div class="tab-switcher-empty">No tabs found</div>';
+    updateAccessibleSelection(filteredTabs);
     return;
   }
 
-  filteredTabs.forEach((tab, index) => {
-    const tabCard = document.createElement('div');
-    tabCard.className = 'tab-switcher-card';
-    if (index === selectedIndex) {
-      tabCard.classList.add('selected');
-    }
-    if (tab.id === currentTabId) {
-      tabCard.classList.add('current');
+  const { cardWidth, cardHeight } = getPreviewDimensions();
+  const rowHeight = cardHeight + GRID_GAP;
+  const shownColumns = Math.min(layout.columns, layout.openCount);
+
+  const scrollbarWidth = layout.totalRows > layout.visibleRows ? GRID_SCROLLBAR_WIDTH : 0;
+
+  grid.style.width = shownColumns > 0 ? `${shownColumns * (cardWidth + GRID_GAP) - GRID_GAP + scrollbarWidth}px` : '';
+  grid.style.height = `${Math.max(0, layout.visibleRows * rowHeight - GRID_GAP)}px`;
+  getGridInner(grid).style.height = `${Math.max(0, layout.totalRows * rowHeight - GRID_GAP)}px`;
+
+  // Keep the selected row in view
+  if (selectedIndex < layout.openCount) {
+    const rowTop = Math.floor(selectedIndex / layout.columns) * rowHeight;
+    if (rowTop < grid.scrollTop) {
+      grid.scrollTop = rowTop;
+    } else if (rowTop + cardHeight > grid.scrollTop + grid.clientHeight) {
+      grid.scrollTop = rowTop + cardHeight - grid.clientHeight;
     }
+  }
 
-    const title = tab.title || 'Untitled';
-    const displayTitle = title.length > 30 ? title.substring(0, 27) + '...' : title;
+  renderVisibleCards(filteredTabs, layout);
 
-    let previewSrc;
-    if (tab.screenshot && currentSettings.showPreviews) {
-      previewSrc = tab.screenshot;
-    } else {
-      let domain = '';
-      try {
-        const url = new URL(tab.url || '');
-        domain = url.hostname.replace(/^www\./, '');
-        if (domain.length > 25) {
-          domain = domain.substring(0, 22) + '...';
-        }
-      } catch (e) {
-        domain = 'New Tab';
+  const currentWindowId = getCurrentWindowId();
+  filteredTabs.slice(layout.openCount).forEach((tab, offset) => {
+    const tabCard = createTabCard(tab, layout.openCount + offset, currentWindowId);
+    tabCard.setAttribute('aria-posinset', offset + 1);
+    tabCard.setAttribute('aria-setsize', layout.closedCount);
+    if (closedGrid) closedGrid.appendChild(tabCard);
+  });
+  updateAccessibleSelection(filteredTabs);
+  flushThumbnailRequests();
+}
+
+// Host name without "www.", or an empty string for URLs without one
+function getTabDomain(tab) {
+  try {
+    return new URL(tab.url || '').hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// What a screen reader reads for a card: title, domain, then where it lives and its state
+function getCardAccessibleLabel(tab) {
+  const parts = [tab.title || 'Untitled'];
+  const domain = getTabDomain(tab);
+  if (domain) parts.push(domain);
+  if (tab.closed) {
+    parts.push('recently closed');
+  } else {
+    if (allWindowsMode && tab.windowLabel) parts.push(tab.windowLabel);
+    if (tab.group) parts.push(`group ${tab.group.title || 'unnamed'}`);
+    getStatusBadges(tab).forEach(({ status }) => parts.push(STATUS_BADGE_NAMES[status]));
+  }
+  return parts.join(', ');
+}
+
+// Point the listbox holding the selected card at it, keep it focused, and announce the
+// selection's title and domain through the live region
+function updateAccessibleSelection(filteredTabs) {
+  if (!shadowRoot) return;
+
+  const listboxes = shadowRoot.querySelectorAll('[role="listbox"]');
+  listboxes.forEach(listbox => listbox.removeAttribute('aria-activedescendant'));
+
+  const selectedCard = shadowRoot.getElementById(`tab-switcher-option-${selectedIndex}`);
+  const listbox = selectedCard ? selectedCard.closest('[role="listbox"]') : listboxes[0];
+  if (selectedCard) {
+    listbox.setAttribute('aria-activedescendant', selectedCard.id);
+  }
+  if (listbox && shadowRoot.activeElement !== listbox) {
+    listbox.focus({ preventScroll: true });
+  }
+
+  const selectedTab = filteredTabs[selectedIndex];
+  let announcement = 'No tabs found';
+  if (selectedTab) {
+    const domain = getTabDomain(selectedTab);
+    announcement = domain ? `${selectedTab.title || 'Untitled'}, ${domain}` : (selectedTab.title || 'Untitled');
+  }
+  if (announcement !== lastAnnouncement) {
+    lastAnnouncement = announcement;
+    const announcer = shadowRoot.getElementById('tab-switcher-announcer');
+    if (announcer) announcer.textContent = announcement;
+  }
+}
+
+// Render only the open-tab cards in (or just around) the scrolled viewport
+function renderVisibleCards(filteredTabs = getFilteredTabs(), layout = getGridLayout(filteredTabs)) {
+  const grid = shadowRoot ? shadowRoot.getElementById('tab-switcher-grid') : null;
+  if (!grid || layout.openCount === 0) {
+    if (grid && grid.querySelector('.tab-switcher-grid-inner')) {
+      getGridInner(grid).replaceChildren();
+    }
+    return;
+  }
+
+  const { cardWidth, cardHeight } = getPreviewDimensions();
+  const rowHeight = cardHeight + GRID_GAP;
+  const columnWidth = cardWidth + GRID_GAP;
+  const firstRow = Math.max(0, Math.floor(grid.scrollTop / rowHeight) - 1);
+  const lastRow = Math.min(layout.totalRows - 1, Math.ceil((grid.scrollTop + grid.clientHeight) / rowHeight));
+  const currentWindowId = getCurrentWindowId();
+
+  const cards = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let column = 0; column < layout.columns; column++) {
+      const index = row * layout.columns + column;
+      if (index >= layout.openCount) break;
+
+      const tab = filteredTabs[index];
+      const tabCard = createTabCard(tab, index, currentWindowId);
+      // Only some cards exist at a time, so tell assistive tech where each one sits
+      tabCard.setAttribute('aria-posinset', index + 1);
+      tabCard.setAttribute('aria-setsize', layout.openCount);
+      tabCard.style.left = `${column * columnWidth}px`;
+      tabCard.style.top = `${row * rowHeight}px`;
+
+      // When grouping by tab group or site, mark where each run of cards starts
+      const previousTab = filteredTabs[index - 1];
+      const clusterKey = tab.clusterKey ?? null;
+      const previousClusterKey = previousTab ? (previousTab.clusterKey ?? null) : null;
+      if (clusteredOrder && !searchQuery && index > 0 && column > 0 && clusterKey !== previousClusterKey) {
+        tabCard.classList.add('group-start');
       }
 
-      const escapedDomain = domain.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-
-      previewSrc = `data:image/svg+xml,${encodeURIComponent(`
-        <svg xmlns="http://www.w3.org/2000/svg" width="200" height="125" viewBox="0 0 200 125">
-          <defs>
-            <linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">
-              <stop offset="0%" style="stop-color:#f8fafc"/>
-              <stop offset="100%" style="stop-color:#e2e8f0"/>
-            </linearGradient>
-          </defs>
-          <rect width="200" height="125" fill="url(#bg)"/>
-          <rect x="0" y="0" width="200" height="28" fill="#f1f5f9"/>
-          <circle cx="12" cy="14" r="5" fill="#ef4444" opacity="0.8"/>
-          <circle cx="28" cy="14" r="5" fill="#eab308" opacity="0.8"/>
-          <circle cx="44" cy="14" r="5" fill="#22c55e" opacity="0.8"/>
-          <text x="100" y="72" font-family="system-ui, -apple-system, sans-serif" font-size="13" fill="#475569" text-anchor="middle" font-weight="500">${escapedDomain}</text>
-          <text x="100" y="92" font-family="system-ui, -apple-system, sans-serif" font-size="10" fill="#94a3b8" text-anchor="middle">No preview available</text>
-        </svg>
-      `)}`;
-    }
-
-    const faviconUrl = tab.favIconUrl || 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><rect width="16" height="16" fill="%23888"/></svg>';
-
-    const previewDiv = document.createElement('div');
-    previewDiv.className = 'tab-switcher-preview';
-    const previewImg = document.createElement('img');
-    previewImg.setAttribute('src', previewSrc);
-    previewImg.setAttribute('alt', '');
-    previewDiv.appendChild(previewImg);
-
-    const infoDiv = document.createElement('div');
-    infoDiv.className = 'tab-switcher-info';
-    const titleDiv = document.createElement('div');
-    titleDiv.className = 'tab-switcher-title';
-    const faviconImg = document.createElement('img');
-    faviconImg.className = 'tab-switcher-favicon';
-    faviconImg.setAttribute('src', faviconUrl);
-    faviconImg.setAttribute('alt', '');
-    const titleSpan = document.createElement('span');
-    titleSpan.textContent = displayTitle;
-    titleDiv.appendChild(faviconImg);
-    titleDiv.appendChild(titleSpan);
-    infoDiv.appendChild(titleDiv);
-
-    tabCard.appendChild(previewDiv);
-    tabCard.appendChild(infoDiv);
-
-    tabCard.dataset.tabIndex = index;
-
-    tabCard.addEventListener('mouseenter', () => {
-      selectedIndex = index;
-      renderTabs();
+      cards.push(tabCard);
+    }
+  }
+
+  getGridInner(grid).replaceChildren(...cards);
+  flushThumbnailRequests();
+}
+
+// Build a single card for an open tab or a recently closed entry
+function createTabCard(tab, index, currentWindowId) {
+  const tabCard = document.createElement('div');
+  tabCard.className = 'tab-switcher-card';
+  if (tab.closed) {
+    tabCard.classList.add('closed');
+  }
+  if (index === selectedIndex) {
+    tabCard.classList.add('selected');
+  }
+  if (tab.id === currentTabId) {
+    tabCard.classList.add('current');
+  }
+  tabCard.id = `tab-switcher-option-${index}`;
+  tabCard.setAttribute('role', 'option');
+  tabCard.setAttribute('aria-selected', index === selectedIndex ? 'true' : 'false');
+  tabCard.setAttribute('aria-label', getCardAccessibleLabel(tab));
+
+  const title = tab.title || 'Untitled';
+  const titleTruncated = title.length > 30;
+  const displayTitle = titleTruncated ? title.substring(0, 27) : title;
+
+  // Thumbnails stream in after the overlay opens; show a placeholder until one arrives
+  const thumbnailKey = getThumbnailKey(tab);
+  tabCard.dataset.thumbnailKey = thumbnailKey;
+  if (currentSettings.showPreviews && !requestedThumbnails.has(thumbnailKey)) {
+    requestedThumbnails.add(thumbnailKey);
+    pendingThumbnailRequests.push({
+      key: thumbnailKey,
+      tabId: tab.closed ? null : tab.id,
+      url: tab.url || null
     });
+  }
 
-    // Click to select and switch to tab
-    tabCard.addEventListener('click', (e) => {
+  let previewSrc;
+  const thumbnail = currentSettings.showPreviews ? thumbnailCache.get(thumbnailKey) : null;
+  if (thumbnail) {
+    previewSrc = thumbnail.screenshot;
+  } else {
+    let domain = '';
+    try {
+      const url = new URL(tab.url || '');
+      domain = url.hostname.replace(/^www\./, '');
+      if (domain.length > 25) {
+        domain = domain.substring(0, 22) + '...';
+      }
+    } catch (e) {
+      domain = 'New Tab';
+    }
+
+    const escapedDomain = domain.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    previewSrc = `data:image/svg+xml,${encodeURIComponent(`
+      <svg xmlns="http://www.w3.org/2000/svg" width="200" height="125" viewBox="0 0 200 125">
+        <defs>
+          <linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">
+            <stop offset="0%" style="stop-color:#f8fafc"/>
+            <stop offset="100%" style="stop-color:#e2e8f0"/>
+          </linearGradient>
+        </defs>
+        <rect width="200" height="125" fill="url(#bg)"/>
+        <rect x="0" y="0" width="200" height="28" fill="#f1f5f9"/>
+        <circle cx="12" cy="14" r="5" fill="#ef4444" opacity="0.8"/>
+        <circle cx="28" cy="14" r="5" fill="#eab308" opacity="0.8"/>
+        <circle cx="44" cy="14" r="5" fill="#22c55e" opacity="0.8"/>
+        <text x="100" y="72" font-family="system-ui, -apple-system, sans-serif" font-size="13" fill="#475569" text-anchor="middle" font-weight="500">${escapedDomain}</text>
+        <text x="100" y="92" font-family="system-ui, -apple-system, sans-serif" font-size="10" fill="#94a3b8" text-anchor="middle">No preview available</text>
+      </svg>
+    `)}`;
+  }
+
+  const faviconUrl = tab.favIconUrl || 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><rect width="16" height="16" fill="%23888"/></svg>';
+
+  const previewDiv = document.createElement('div');
+  previewDiv.className = 'tab-switcher-preview';
+  const previewImg = document.createElement('img');
+  previewImg.setAttribute('src', previewSrc);
+  previewImg.setAttribute('alt', '');
+  previewDiv.appendChild(previewImg);
+
+  // In all-windows mode, label which window each tab lives in
+  if (allWindowsMode && tab.windowLabel && !tab.closed) {
+    const windowLabel = document.createElement('div');
+    windowLabel.className = 'tab-switcher-window-label';
+    if (tab.windowId === currentWindowId) {
+      windowLabel.classList.add('current-window');
+    }
+    windowLabel.textContent = tab.windowLabel;
+    previewDiv.appendChild(windowLabel);
+  }
+
+  const infoDiv = document.createElement('div');
+  infoDiv.className = 'tab-switcher-info';
+  const titleDiv = document.createElement('div');
+  titleDiv.className = 'tab-switcher-title';
+  const faviconImg = document.createElement('img');
+  faviconImg.className = 'tab-switcher-favicon';
+  faviconImg.setAttribute('src', faviconUrl);
+  faviconImg.setAttribute('alt', '');
+  const titleSpan = document.createElement('span');
+  appendHighlightedText(titleSpan, displayTitle, tab.titleMatches);
+  if (titleTruncated) {
+    titleSpan.appendChild(document.createTextNode('...'));
+  }
+  titleDiv.appendChild(faviconImg);
+  const statusBadges = tab.closed ? null : createStatusBadges(tab);
+  if (statusBadges) {
+    titleDiv.appendChild(statusBadges);
+  }
+  titleDiv.appendChild(titleSpan);
+  infoDiv.appendChild(titleDiv);
+
+  // Discarded tabs are asleep; their (possibly old) preview is played down
+  if (tab.discarded && !tab.closed) {
+    tabCard.classList.add('discarded');
+  }
+
+  // Tab group color stripe and name
+  if (tab.group && !tab.closed) {
+    const groupColor = tabGroupColors[tab.group.color] || tabGroupColors.grey;
+    tabCard.classList.add('grouped');
+    tabCard.style.setProperty('--tab-group-color', groupColor);
+
+    const groupLabel = document.createElement('div');
+    groupLabel.className = 'tab-switcher-group-label';
+    if (tab.group.collapsed) {
+      groupLabel.classList.add('collapsed');
+    }
+    groupLabel.textContent = tab.group.title || 'Group';
+    groupLabel.setAttribute('title', tab.group.collapsed ? `${groupLabel.textContent} (collapsed)` : groupLabel.textContent);
+    previewDiv.appendChild(groupLabel);
+  }
+
+  // Hover buttons mirroring the Alt+key tab actions, hidden from assistive tech inside the
+  // option. Recently closed entries are restored as a whole, so they get none.
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'tab-switcher-actions';
+  actionsDiv.setAttribute('aria-hidden', 'true');
+  Object.keys(tab.closed ? {} : TAB_ACTION_ICONS).forEach(action => {
+    const button = document.createElement('button');
+    button.className = 'tab-switcher-action';
+    button.tabIndex = -1;
+    button.dataset.action = action;
+    if ((action === 'togglePinTab' && tab.pinned) ||
+        (action === 'toggleMuteTab' && tab.mutedInfo && tab.mutedInfo.muted)) {
+      button.classList.add('active');
+    }
+    const label = getTabActionTitle(action, tab);
+    button.setAttribute('title', label);
+    button.setAttribute('aria-label', label);
+    button.innerHTML = `<svg width="12" height="12" viewBox="0 0 12 12">${TAB_ACTION_ICONS[action]}</svg>`;
+    button.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      switchToTab(tab.id);
+      runTabAction(action, tab.id);
     });
+    actionsDiv.appendChild(button);
+  });
+  previewDiv.appendChild(actionsDiv);
 
-    grid.appendChild(tabCard);
+  tabCard.appendChild(previewDiv);
+  tabCard.appendChild(infoDiv);
+
+  if (thumbnail) {
+    applyPreviewAge(tabCard, thumbnail.capturedAt);
+  }
+
+  tabCard.dataset.tabIndex = index;
+
+  tabCard.addEventListener('mouseenter', () => {
+    if (selectedIndex === index) return;
+    selectedIndex = index;
+    renderTabs();
   });
 
-  const selectedCard = grid.querySelector('.tab-switcher-card.selected');
-  if (selectedCard) {
-    selectedCard.scrollIntoView({ block: 'nearest', behavior: 'auto' });
+  // Click to select and switch to (or restore) the tab
+  tabCard.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    openSwitcherItem(tab);
+  });
+
+  return tabCard;
+}
+
+// Update the search bar above the grid to reflect the current query
+function renderSearchBar() {
+  const searchBar = shadowRoot ? shadowRoot.getElementById('tab-switcher-search') : null;
+  if (!searchBar) return;
+
+  searchBar.classList.toggle('active', searchQuery.length > 0);
+  shadowRoot.getElementById('tab-switcher-search-input').textContent = searchQuery;
+}
+
+// Append text to a parent, wrapping matched character positions in highlight spans
+function appendHighlightedText(parent, text, matchedIndices) {
+  if (!matchedIndices || matchedIndices.length === 0) {
+    parent.appendChild(document.createTextNode(text));
+    return;
+  }
+
+  const matched = new Set(matchedIndices);
+  let run = '';
+  let runMatched = false;
+
+  const flush = () => {
+    if (!run) return;
+    if (runMatched) {
+      const mark = document.createElement('span');
+      mark.className = 'tab-switcher-match';
+      mark.textContent = run;
+      parent.appendChild(mark);
+    } else {
+      parent.appendChild(document.createTextNode(run));
+    }
+    run = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const isMatch = matched.has(i);
+    if (isMatch !== runMatched) {
+      flush();
+      runMatched = isMatch;
+    }
+    run += text[i];
   }
+  flush();
 }
 
-// Get filtered tabs based on search query
-function getFilteredTabs() {
-  if (!searchQuery) {
-    return currentTabs;
+// Fuzzy-match a query against text. Returns { score, indices } or null when the
+// query characters don't all appear in order. Contiguous runs, matches at the
+// start of words and early matches score higher.
+function fuzzyMatch(query, text) {
+  if (!query || !text) return null;
+  const lowerText = text.toLowerCase();
+  const isWordStart = (index) => index === 0 ||
+    /[\s\-_./:?#&=]/.test(text[index - 1]) ||
+    (/[A-Z]/.test(text[index]) && /[a-z]/.test(text[index - 1]));
+
+  // Exact substring is always the strongest kind of match
+  const substringIndex = lowerText.indexOf(query);
+  if (substringIndex !== -1) {
+    const indices = [];
+    for (let i = 0; i < query.length; i++) indices.push(substringIndex + i);
+    const score = query.length * 6 +
+      (isWordStart(substringIndex) ? 10 : 0) +
+      (substringIndex === 0 ? 5 : 0) -
+      Math.min(substringIndex, 50) * 0.05;
+    return { score, indices };
+  }
+
+  const indices = [];
+  let score = 0;
+  let searchFrom = 0;
+  for (const char of query) {
+    const index = lowerText.indexOf(char, searchFrom);
+    if (index === -1) return null;
+
+    score += 1;
+    if (indices.length > 0 && index === indices[indices.length - 1] + 1) {
+      score += 4;
+    }
+    if (isWordStart(index)) {
+      score += 3;
+    }
+    score -= Math.min(index - searchFrom, 20) * 0.1;
+
+    indices.push(index);
+    searchFrom = index + 1;
+  }
+
+  return { score, indices };
+}
+
+// Score a tab against every query token across title, hostname and path
+function scoreTab(tab, tokens) {
+  let hostname = '';
+  let path = '';
+  try {
+    const url = new URL(tab.url || '');
+    hostname = url.hostname.replace(/^www\./, '');
+    path = url.pathname + url.search;
+  } catch (e) {
+    path = tab.url || '';
+  }
+
+  const title = tab.title || 'Untitled';
+  const fields = [
+    { name: 'title', text: title, weight: 1 },
+    { name: 'hostname', text: hostname, weight: 0.9 },
+    { name: 'group', text: tab.group ? tab.group.title : '', weight: 0.7 },
+    { name: 'path', text: path, weight: 0.6 }
+  ];
+
+  let total = 0;
+  const titleMatches = new Set();
+
+  for (const token of tokens) {
+    let best = null;
+    for (const field of fields) {
+      const match = fuzzyMatch(token, field.text);
+      if (!match) continue;
+      const weighted = match.score * field.weight;
+      if (!best || weighted > best.score) {
+        best = { score: weighted, field: field.name, indices: match.indices };
+      }
+    }
+    if (!best) return null;
+
+    total += best.score;
+    if (best.field === 'title') {
+      best.indices.forEach(index => titleMatches.add(index));
+    }
   }
 
-  const query = searchQuery.toLowerCase();
-  return currentTabs.filter(tab => {
-    const title = (tab.title || '').toLowerCase();
-    const url = (tab.url || '').toLowerCase();
-    return title.includes(query) || url.includes(query);
+  return { score: total, titleMatches: Array.from(titleMatches) };
+}
+
+// Rank items by fuzzy score against the query tokens; ties keep their original order
+function rankBySearch(items, tokens) {
+  const ranked = [];
+  items.forEach((tab, mruIndex) => {
+    const result = scoreTab(tab, tokens);
+    if (result) {
+      ranked.push({ tab, mruIndex, ...result });
+    }
   });
+
+  ranked.sort((a, b) => (b.score - a.score) || (a.mruIndex - b.mruIndex));
+
+  return ranked.map(({ tab, titleMatches }) => ({ ...tab, titleMatches }));
+}
+
+// Get the items to display: open tabs in MRU order (fuzzy-ranked when searching),
+// followed by recently closed tabs once the MRU list runs out
+function getFilteredTabs() {
+  // The closed strip is a single row
+  const maxClosed = getColumnsForWidth();
+  const closedTabs = currentClosedTabs.map(tab => ({ ...tab, closed: true }));
+  const tokens = searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+
+  if (tokens.length === 0) {
+    return [
+      ...currentTabs,
+      ...closedTabs.slice(0, maxClosed)
+    ];
+  }
+
+  return [
+    ...rankBySearch(currentTabs, tokens),
+    ...rankBySearch(closedTabs, tokens).slice(0, maxClosed)
+  ];
+}
+
+// Run a tab management action on a card and re-render with the refreshed tab list
+async function runTabAction(action, tabId) {
+  // The list re-renders in place; releasing the modifiers afterwards must not switch to
+  // whichever tab moved into the selected slot
+  if (isOptionsPreview) return;
+  keepSwitcherOpen();
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: action,
+      tabId: tabId
+    });
+
+    if (!switcherVisible) return;
+    if (response && response.success && Array.isArray(response.tabs)) {
+      currentTabs = response.tabs;
+      currentClosedTabs = response.closedTabs || currentClosedTabs;
+      renderTabs();
+    } else if (response && response.error) {
+      console.error("Tab action failed:", response.error);
+    }
+  } catch (error) {
+    console.error("Tab action failed:", error);
+  }
+}
+
+// Briefly switch to a tab so the background can recapture its preview, then show the new one
+async function refreshPreview(tab) {
+  if (refreshingPreview || tab.closed || isOptionsPreview) return;
+
+  // Leaving the page drops modifier keyups, so don't rely on release-to-switch afterwards
+  keepSwitcherOpen();
+  refreshingPreview = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: "refreshPreview",
+      tabId: tab.id
+    });
+
+    if (!switcherVisible) return;
+    if (response && response.success && response.screenshot) {
+      applyThumbnail(getThumbnailKey(tab), response.screenshot, response.capturedAt);
+    } else if (response && response.error) {
+      console.warn("Preview refresh failed:", response.error);
+    }
+  } catch (error) {
+    console.warn("Preview refresh failed:", error);
+  } finally {
+    refreshingPreview = false;
+  }
+}
+
+// Map a keydown to a tab action on the selected card, if any
+function getTabActionForKey(e) {
+  if (e.key === 'Delete') return 'closeTab';
+  // Alt keeps action keys apart from search typing; e.code avoids macOS Option characters
+  if (e.altKey) return TAB_ACTION_KEYS[e.code] || null;
+  return null;
+}
+
+// Card index for a 1-9 key press (top row or numpad), or null
+function getQuickJumpIndex(e) {
+  const match = /^(?:Digit|Numpad)([1-9])$/.exec(e.code);
+  return match ? parseInt(match[1], 10) - 1 : null;
+}
+
+// Stop switching on modifier release; the switcher stays open until Enter, click or Escape
+function keepSwitcherOpen() {
+  keepOpen = true;
+  if (safetyTimeout) {
+    clearTimeout(safetyTimeout);
+    safetyTimeout = null;
+  }
+}
+
+// Replace the search query and jump the selection to the best match
+function updateSearchQuery(query) {
+  searchQuery = query;
+  selectedIndex = 0;
+
+  if (searchQuery && !keepOpen) {
+    // Searching is deliberate, so it keeps the switcher open
+    keepSwitcherOpen();
+  }
+
+  renderTabs();
 }
 
 // Handle global keydown when switcher is open
@@ -453,7 +1425,7 @@ function handleGlobalKeydown(e) {
   if (e.key === 'Shift') shiftPressed = true;
   if (e.key === 'Alt') altPressed = true;
 
-  if (!switcherVisible) return;
+  if (!switcherVisible || isOptionsPreview) return;
 
   // Handle Escape to close switcher
   if (e.key === 'Escape') {
@@ -463,8 +1435,98 @@ function handleGlobalKeydown(e) {
     return;
   }
 
-  // Handle arrow keys for navigation
-  if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+  // Enter switches to the selected tab
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    e.stopPropagation();
+    const filteredTabs = getFilteredTabs();
+    if (filteredTabs[selectedIndex]) {
+      openSwitcherItem(filteredTabs[selectedIndex]);
+    }
+    return;
+  }
+
+  // Tab management actions on the selected card
+  const tabAction = getTabActionForKey(e);
+  if (tabAction) {
+    e.preventDefault();
+    e.stopPropagation();
+    const filteredTabs = getFilteredTabs();
+    const selectedTab = filteredTabs[selectedIndex];
+    if (selectedTab && !selectedTab.closed) {
+      runTabAction(tabAction, selectedTab.id);
+    }
+    return;
+  }
+
+  // Recapture the selected card's preview
+  if (e.altKey && e.code === REFRESH_PREVIEW_KEY) {
+    e.preventDefault();
+    e.stopPropagation();
+    const selectedTab = getFilteredTabs()[selectedIndex];
+    if (selectedTab) {
+      refreshPreview(selectedTab);
+    }
+    return;
+  }
+
+  // Backspace edits the search query
+  if (e.key === 'Backspace') {
+    e.preventDefault();
+    e.stopPropagation();
+    if (searchQuery) {
+      updateSearchQuery(searchQuery.slice(0, -1));
+    }
+    return;
+  }
+
+  // Keys pressed with the shortcut's Ctrl/Cmd still held can't be search text: the browser keeps
+  // Ctrl+W/T/N for itself. The first one latches the switcher open and is dropped, so the next
+  // keys can be typed without modifiers; once latched, Ctrl/Cmd combos are left to the page
+  if (e.key.length === 1 && (e.ctrlKey || e.metaKey)) {
+    if (!keepOpen) {
+      e.preventDefault();
+      e.stopPropagation();
+      keepSwitcherOpen();
+    }
+    return;
+  }
+
+  // 1-9 jump straight to the Nth card, unless they are part of a search query. Only once the
+  // switcher stays open: while the shortcut is held, Ctrl+2 and Ctrl+3 are our own commands and
+  // never reach the page, so other digits would jump inconsistently
+  const quickJumpIndex = getQuickJumpIndex(e);
+  if (quickJumpIndex !== null && !searchQuery) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!keepOpen) return;
+    const filteredTabs = getFilteredTabs();
+    if (filteredTabs[quickJumpIndex]) {
+      selectedIndex = quickJumpIndex;
+      openSwitcherItem(filteredTabs[quickJumpIndex]);
+    }
+    return;
+  }
+
+  // Tab and Shift+Tab step through cards like the arrow keys
+  if (e.key === 'Tab') {
+    e.preventDefault();
+    e.stopPropagation();
+    cycleSelection(e.shiftKey ? "backward" : "forward");
+    return;
+  }
+
+  // Printable characters extend the search query
+  if (e.key.length === 1 && !e.altKey) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === ' ' && !searchQuery) return;
+    updateSearchQuery(searchQuery + e.key.toLowerCase());
+    return;
+  }
+
+  // Handle arrow keys for navigation: Left/Right step through cards, Up/Down move between rows
+  if (e.key === 'ArrowRight') {
     e.preventDefault();
     e.stopPropagation();
     const filteredTabs = getFilteredTabs();
@@ -475,7 +1537,7 @@ function handleGlobalKeydown(e) {
     return;
   }
 
-  if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+  if (e.key === 'ArrowLeft') {
     e.preventDefault();
     e.stopPropagation();
     const filteredTabs = getFilteredTabs();
@@ -485,6 +1547,33 @@ function handleGlobalKeydown(e) {
     }
     return;
   }
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    e.stopPropagation();
+    moveSelectionByRows(e.key === 'ArrowDown' ? 1 : -1);
+    return;
+  }
+
+  // PageUp/PageDown move by a screenful of rows
+  if (e.key === 'PageDown' || e.key === 'PageUp') {
+    e.preventDefault();
+    e.stopPropagation();
+    const { visibleRows } = getGridLayout(getFilteredTabs());
+    moveSelectionByRows((e.key === 'PageDown' ? 1 : -1) * Math.max(1, visibleRows));
+    return;
+  }
+
+  if (e.key === 'Home' || e.key === 'End') {
+    e.preventDefault();
+    e.stopPropagation();
+    const filteredTabs = getFilteredTabs();
+    if (filteredTabs.length > 0) {
+      selectedIndex = e.key === 'Home' ? 0 : filteredTabs.length - 1;
+      renderTabs();
+    }
+    return;
+  }
 }
 
 // Handle global keyup when switcher is open
@@ -494,24 +1583,50 @@ function handleGlobalKeyup(e) {
   if (e.key === 'Shift') shiftPressed = false;
   if (e.key === 'Alt') altPressed = false;
 
-  if (!switcherVisible) return;
+  if (!switcherVisible || isOptionsPreview) return;
 
   // When any modifier key is released, check if all modifier keys are released
   if (e.key === 'Control' || e.key === 'Meta' || e.key === 'Alt' || e.key === 'Shift') {
     e.preventDefault();
 
-    // Only switch if no modifier keys are being held
-    if (!ctrlPressed && !metaPressed && !altPressed && !shiftPressed) {
+    // Only switch if no modifier keys are being held and the user isn't searching
+    if (!keepOpen && !ctrlPressed && !metaPressed && !altPressed && !shiftPressed) {
       const filteredTabs = getFilteredTabs();
       if (filteredTabs[selectedIndex]) {
-        switchToTab(filteredTabs[selectedIndex].id);
+        openSwitcherItem(filteredTabs[selectedIndex]);
       }
     }
   }
 }
 
+// Switch to an open tab, or restore a recently closed one
+function openSwitcherItem(item) {
+  if (isOptionsPreview) return;
+  if (item.closed) {
+    restoreClosedTab(item.sessionId);
+  } else {
+    switchToTab(item.id);
+  }
+}
+
+// Restore a recently closed tab at its original window and position
+function restoreClosedTab(sessionId) {
+  if (isOptionsPreview) return;
+  hideSwitcher();
+
+  chrome.runtime.sendMessage({
+    action: "restoreClosedTab",
+    sessionId: sessionId
+  }, (response) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error restoring tab:", chrome.runtime.lastError);
+    }
+  });
+}
+
 // Switch to a tab
 function switchToTab(tabId) {
+  if (isOptionsPreview) return;
   // Always hide the switcher first to prevent it getting stuck
   hideSwitcher();
 
@@ -534,6 +1649,7 @@ document.addEventListener('keyup', handleGlobalKeyup, true);
 let peekVisible = false;
 let peekHost = null;
 let peekShadowRoot = null;
+let peekReturnFocus = null; // page element to refocus when the peek dialog closes
 
 function isPeekModifierHeld(e) {
   switch (currentSettings.peekModifier) {
@@ -570,17 +1686,22 @@ function hidePeekHints() {
 }
 
 // Inject a minimal global style for the peek cursor hint (outside shadow DOM)
-const peekGlobalStyle = document.createElement('style');
-peekGlobalStyle.textContent = `
+function getPeekHintStyles() {
+  const accent = getAccent();
+  return `
   .tab-switcher-peek-active a[href] {
     cursor: zoom-in !important;
   }
   .tab-switcher-peek-active a[href]:hover {
-    outline: 2px dashed rgba(59, 130, 246, 0.5) !important;
+    outline: 2px dashed color-mix(in srgb, ${accent.primary} 50%, transparent) !important;
     outline-offset: 2px !important;
     border-radius: 3px !important;
   }
 `;
+}
+
+const peekGlobalStyle = document.createElement('style');
+peekGlobalStyle.textContent = getPeekHintStyles();
 document.head.appendChild(peekGlobalStyle);
 
 // Track modifier for peek hints
@@ -624,42 +1745,29 @@ document.addEventListener('click', (e) => {
   openPeek(url, link.textContent.trim() || url);
 }, true);
 
-async function openPeek(url, title) {
-  if (peekVisible) closePeek();
-
-  peekVisible = true;
-
-  peekHost = document.createElement('div');
-  peekHost.id = 'tab-switcher-peek-host';
-  peekHost.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; z-index: 2147483647;';
-  document.body.appendChild(peekHost);
-
-  peekShadowRoot = peekHost.attachShadow({ mode: 'open' });
-
+// Peek overlay styles for the current theme, accent, size and blur settings
+function getPeekStyles() {
   const theme = getEffectiveTheme();
-  const accent = accentColors[currentSettings.accentColor] || accentColors.blue;
-
-  const displayTitle = title.length > 60 ? title.substring(0, 57) + '...' : title;
-  let displayUrl = url;
-  try {
-    const parsed = new URL(url);
-    displayUrl = parsed.hostname + parsed.pathname;
-    if (displayUrl.length > 60) displayUrl = displayUrl.substring(0, 57) + '...';
-  } catch (e) {}
-
-  const isDark = theme === 'dark';
-
-  // Peek size from slider (40–96%)
-  const sizePercent = currentSettings.peekSize || 75;
+  const accent = getAccent();
+
+  // High contrast builds on the dark palette, with overrides appended below; a custom
+  // theme picks the palette closest to its background
+  const customTheme = theme === 'custom' ? getActiveCustomTheme(currentSettings) : null;
+  const isDark = customTheme ? isDarkColor(customTheme.background) : theme !== 'light';
+  const isContrast = theme === 'contrast';
+  const fontFamily = customTheme && customTheme.fontFamily
+    ? `${formatFontFamilyList(customTheme.fontFamily)}, ${SYSTEM_FONT_STACK}`
+    : SYSTEM_FONT_STACK;
+
+  // Peek size and blur, already clamped to their ranges in settings.js
+  const sizePercent = currentSettings.peekSize;
   const sizeVW = sizePercent + 'vw';
   const sizeVH = sizePercent + 'vh';
 
-  // Blur from slider (0–20px)
-  const blurPx = currentSettings.peekBlur || 0;
+  const blurPx = currentSettings.peekBlur;
   const bgOpacity = isDark ? 0.3 + (blurPx / 40) : 0.15 + (blurPx / 50);
 
-  const style = document.createElement('style');
-  style.textContent = `
+  return `
     * { box-sizing: border-box; margin: 0; padding: 0; }
 
     .peek-backdrop {
@@ -671,7 +1779,7 @@ async function openPeek(url, title) {
       display: flex;
       align-items: center;
       justify-content: center;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      font-family: ${fontFamily};
       animation: peekFadeIn 0.15s ease-out;
     }
 
@@ -797,6 +1905,15 @@ async function openPeek(url, title) {
       background: ${isDark ? '#1e1e23' : '#ffffff'};
     }
 
+    .peek-snapshot {
+      display: block;
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+      object-position: top;
+      background: ${isDark ? '#1e1e23' : '#ffffff'};
+    }
+
     .peek-loading {
       position: absolute;
       top: 0; left: 0; right: 0;
@@ -840,40 +1957,141 @@ async function openPeek(url, title) {
       font-size: 32px;
       opacity: 0.5;
     }
-  `;
+
+    .peek-btn:focus-visible,
+    .peek-panel:focus-visible {
+      outline: 2px solid ${isContrast ? '#ffd60a' : accent.primary};
+      outline-offset: 2px;
+    }
+
+    .peek-panel:focus:not(:focus-visible) {
+      outline: none;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      .peek-backdrop,
+      .peek-panel {
+        animation: none;
+      }
+
+      .peek-btn,
+      .peek-loading.loaded {
+        transition: none;
+      }
+
+      .peek-loading-bar {
+        width: 100%;
+        opacity: 0.6;
+        animation: none;
+      }
+    }
+  ` + (isContrast ? `
+    .peek-panel {
+      background: #000000;
+      box-shadow: 0 0 0 2px #ffffff;
+    }
+
+    .peek-titlebar {
+      background: #000000;
+      border-bottom: 2px solid #ffffff;
+    }
+
+    .peek-title,
+    .peek-url,
+    .peek-error {
+      color: #ffffff;
+    }
+
+    .peek-btn {
+      background: #000000;
+      border: 2px solid #ffffff;
+      color: #ffffff;
+    }
+
+    .peek-btn-open {
+      background: #ffd60a;
+      border-color: #ffd60a;
+      color: #000000;
+    }
+
+    .peek-btn-open:hover {
+      background: #ffd60a;
+      color: #000000;
+    }
+  ` : '');
+}
+
+// A snapshot (image data URL) is shown in place of the page, for the options page preview
+async function openPeek(url, title, { snapshot = null } = {}) {
+  if (peekVisible) closePeek();
+
+  peekVisible = true;
+  peekReturnFocus = document.activeElement;
+
+  peekHost = document.createElement('div');
+  peekHost.id = 'tab-switcher-peek-host';
+  peekHost.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; z-index: 2147483647;';
+  document.body.appendChild(peekHost);
+
+  peekShadowRoot = peekHost.attachShadow({ mode: 'open' });
+
+  const displayTitle = title.length > 60 ? title.substring(0, 57) + '...' : title;
+  let displayUrl = url;
+  try {
+    const parsed = new URL(url);
+    displayUrl = parsed.hostname + parsed.pathname;
+    if (displayUrl.length > 60) displayUrl = displayUrl.substring(0, 57) + '...';
+  } catch (e) {}
+
+  const style = document.createElement('style');
+  style.id = 'peek-styles';
+  style.textContent = getPeekStyles();
 
   peekShadowRoot.appendChild(style);
 
   const backdrop = document.createElement('div');
   backdrop.className = 'peek-backdrop';
   backdrop.innerHTML = `
-    <div class="peek-panel">
+    <div class="peek-focus-sentinel" tabindex="0" data-focus-wrap="last"></div>
+    <div class="peek-panel" role="dialog" aria-modal="true" aria-labelledby="peek-title" aria-describedby="peek-url" tabindex="-1">
       <div class="peek-titlebar">
         <div class="peek-titlebar-info">
-          <div class="peek-title">${escapeHTML(displayTitle)}</div>
-          <div class="peek-url">${escapeHTML(displayUrl)}</div>
+          <div class="peek-title" id="peek-title">${escapeHTML(displayTitle)}</div>
+          <div class="peek-url" id="peek-url">${escapeHTML(displayUrl)}</div>
         </div>
         <button class="peek-btn peek-btn-open" id="peek-open-tab">
-          <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+          <svg width="12" height="12" viewBox="0 0 12 12" fill="none" aria-hidden="true">
             <path d="M5 1H2.5A1.5 1.5 0 001 2.5v7A1.5 1.5 0 002.5 11h7A1.5 1.5 0 0011 9.5V7" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
             <path d="M7 1h4v4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
             <path d="M11 1L5.5 6.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
           </svg>
           Open in Tab
         </button>
-        <button class="peek-btn peek-btn-close" id="peek-close">\u00d7</button>
+        <button class="peek-btn peek-btn-close" id="peek-close" aria-label="Close preview">\u00d7</button>
       </div>
       <div class="peek-content">
-        <div class="peek-loading" id="peek-loading">
+        <div class="peek-loading" id="peek-loading" aria-hidden="true">
           <div class="peek-loading-bar"></div>
         </div>
-        <iframe class="peek-iframe" id="peek-iframe" loading="eager"></iframe>
+        <iframe class="peek-iframe" id="peek-iframe" loading="eager" title="${escapeHTML(displayTitle)}"></iframe>
       </div>
     </div>
+    <div class="peek-focus-sentinel" tabindex="0" data-focus-wrap="first"></div>
   `;
 
   peekShadowRoot.appendChild(backdrop);
 
+  // Keep keyboard focus inside the dialog: tabbing onto a sentinel at either end wraps
+  // around. Sentinels (rather than keydown handling) also catch Tab out of the iframe.
+  backdrop.querySelectorAll('.peek-focus-sentinel').forEach(sentinel => {
+    sentinel.addEventListener('focus', () => {
+      const focusable = getPeekFocusableElements();
+      const target = sentinel.dataset.focusWrap === 'first' ? focusable[0] : focusable[focusable.length - 1];
+      if (target) target.focus();
+    });
+  });
+  peekShadowRoot.querySelector('.peek-panel').focus();
+
   const iframe = peekShadowRoot.getElementById('peek-iframe');
   const loading = peekShadowRoot.getElementById('peek-loading');
 
@@ -967,7 +2185,16 @@ async function openPeek(url, title) {
   });
 
   // Set src after attaching to DOM
-  iframe.src = url;
+  if (snapshot) {
+    const image = document.createElement('img');
+    image.className = 'peek-snapshot';
+    image.alt = '';
+    image.src = snapshot;
+    iframe.replaceWith(image);
+    loading.classList.add('loaded');
+  } else {
+    iframe.src = url;
+  }
 
   // After a timeout, if iframe is still "loading", check if it might be blocked
   setTimeout(() => {
@@ -980,18 +2207,20 @@ async function openPeek(url, title) {
 
   // Close on backdrop click
   backdrop.addEventListener('click', (e) => {
-    if (e.target === backdrop) {
+    if (e.target === backdrop && !isOptionsPreview) {
       closePeek();
     }
   });
 
   // Close button
   peekShadowRoot.getElementById('peek-close').addEventListener('click', () => {
+    if (isOptionsPreview) return;
     closePeek();
   });
 
   // Open in tab button — uses the iframe's current URL, not the original
   peekShadowRoot.getElementById('peek-open-tab').addEventListener('click', () => {
+    if (isOptionsPreview) return;
     // Try to get the latest URL from the iframe in case load event was missed
     try {
       const liveUrl = iframe.contentWindow.location.href;
@@ -1035,8 +2264,14 @@ function showPeekError(url, preferPopup = false) {
   }
 }
 
+// Focusable controls inside the peek dialog, in tab order
+function getPeekFocusableElements() {
+  if (!peekShadowRoot) return [];
+  return Array.from(peekShadowRoot.querySelectorAll('.peek-panel button, .peek-panel iframe'));
+}
+
 function handlePeekKeydown(e) {
-  if (!peekVisible) return;
+  if (!peekVisible || isOptionsPreview) return;
   if (e.key === 'Escape') {
     e.preventDefault();
     e.stopPropagation();
@@ -1055,6 +2290,11 @@ function closePeek() {
   peekShadowRoot = null;
 
   document.removeEventListener('keydown', handlePeekKeydown, true);
+
+  if (peekReturnFocus && peekReturnFocus.isConnected && typeof peekReturnFocus.focus === 'function') {
+    peekReturnFocus.focus({ preventScroll: true });
+  }
+  peekReturnFocus = null;
 }
 
 function escapeHTML(str) {
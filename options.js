@@ -1,39 +1,74 @@
 // Options page script for Tab Switcher Previews
 
-const SETTINGS_KEY = 'tabSwitcherSettings';
-const LEGACY_SETTINGS_KEY = 'arcTabSwitcherSettings';
-
-// Default settings
-const defaultSettings = {
-  theme: 'dark',
-  accentColor: 'blue',
-  previewSize: 100,
-  maxTabs: 'auto',
-  showPreviews: true,
-  peekModifier: 'Alt',
-  peekSize: 75,
-  peekBlur: 4
+// Defaults, ranges and validation come from settings.js, loaded first
+
+const PRIVACY_MODE_LABELS = {
+  never: 'Never capture',
+  blur: 'Blur preview',
+  expire: 'Expire quickly'
+};
+
+// Shown when a theme editor field is rejected by the custom theme schema
+const THEME_FIELD_ERRORS = {
+  name: 'Theme names need 1 to 40 characters',
+  fontFamily: 'Font names are a comma-separated list of letters, numbers, spaces and hyphens; quote a name with matching quotes'
 };
 
+// The saved theme open in the theme editor; not necessarily the one in use
+let editingThemeId = null;
+
+// Tallest the live preview may get, so the settings below it stay in view
+const LIVE_PREVIEW_MAX_HEIGHT = 240;
+
+// Size the live preview frame like this tab's viewport, then scale it down to fit its box,
+// so cards and the peek panel keep their real proportions to the page
+function layoutLivePreview() {
+  const box = document.getElementById('livePreview');
+  const frame = document.getElementById('livePreviewFrame');
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  const scale = Math.min(box.clientWidth / width, LIVE_PREVIEW_MAX_HEIGHT / height);
+
+  frame.style.width = `${width}px`;
+  frame.style.height = `${height}px`;
+  frame.style.left = `${Math.max(0, (box.clientWidth - width * scale) / 2)}px`;
+  frame.style.transform = `scale(${scale})`;
+  box.style.height = `${Math.round(height * scale)}px`;
+}
+
+// Show settings that are still being adjusted in the live preview, and optionally switch
+// it between the switcher and peek views
+function updateLivePreview(view, draftSettings = null) {
+  if (view) {
+    document.querySelectorAll('[data-preview-view]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.previewView === view));
+    });
+  }
+  const frame = document.getElementById('livePreviewFrame');
+  frame.contentWindow.postMessage({ action: 'previewSettings', view, settings: draftSettings }, location.origin);
+}
+
 // Load settings from storage
 async function loadSettings() {
   try {
-    const result = await chrome.storage.local.get([SETTINGS_KEY, LEGACY_SETTINGS_KEY]);
-    const settings = result[SETTINGS_KEY] || result[LEGACY_SETTINGS_KEY] || {};
-
-    if (!result[SETTINGS_KEY] && result[LEGACY_SETTINGS_KEY]) {
-      await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
-    }
-
-    return { ...defaultSettings, ...settings };
+    // The background migrates stored settings (including the old storage key)
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    return { ...defaultSettings, ...(result[SETTINGS_KEY] || {}) };
   } catch (error) {
     console.error('Failed to load settings:', error);
-    return defaultSettings;
+    return { ...defaultSettings };
   }
 }
 
 // Save settings to storage
 async function saveSettings(settings) {
+  // Settings must fit one sync item; refuse the change and put the saved settings back
+  const sizeError = getSettingsSizeError(settings);
+  if (sizeError) {
+    showSaveStatus(sizeError, true);
+    replaceSettings(settings, await loadSettings());
+    return;
+  }
   try {
     await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
     showSaveStatus('Settings saved');
@@ -60,8 +95,13 @@ function showSaveStatus(message, isError = false) {
   }, 2000);
 }
 
-// Apply theme to options page body
-function applyOptionsTheme(theme) {
+// Apply theme to options page body; a custom theme picks light or dark by its background
+function applyOptionsTheme(settings) {
+  let theme = settings.theme;
+  if (theme === 'custom') {
+    const customTheme = getActiveCustomTheme(settings);
+    theme = customTheme && !isDarkColor(customTheme.background) ? 'light' : 'dark';
+  }
   document.body.classList.remove('dark-theme', 'light-theme', 'auto-theme');
   if (theme === 'system') {
     document.body.classList.add('auto-theme');
@@ -72,10 +112,154 @@ function applyOptionsTheme(theme) {
   }
 }
 
+// Render the editable list of per-site privacy rules
+function renderPrivacyRules(settings) {
+  const container = document.getElementById('privacyRules');
+  container.textContent = '';
+
+  // Handlers update settings.privacyRules as it is when they run, keeping earlier edits
+  const rules = settings.privacyRules || [];
+  rules.forEach((rule, index) => {
+    const row = document.createElement('div');
+    row.className = 'privacy-rule';
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'privacy-rule-pattern';
+    patternInput.placeholder = 'bank.com';
+    patternInput.maxLength = MAX_PRIVACY_PATTERN_LENGTH;
+    patternInput.value = rule.pattern || '';
+    patternInput.setAttribute('aria-label', 'Site pattern');
+    patternInput.addEventListener('change', async () => {
+      settings.privacyRules = settings.privacyRules.map((r, i) => i === index ? { ...r, pattern: patternInput.value.trim() } : r);
+      await saveSettings(settings);
+    });
+
+    const modeSelect = document.createElement('select');
+    modeSelect.setAttribute('aria-label', 'Preview rule');
+    Object.entries(PRIVACY_MODE_LABELS).forEach(([mode, label]) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = rule.mode;
+    modeSelect.addEventListener('change', async () => {
+      settings.privacyRules = settings.privacyRules.map((r, i) => i === index ? { ...r, mode: modeSelect.value } : r);
+      await saveSettings(settings);
+    });
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'action-btn privacy-rule-remove';
+    removeButton.textContent = '\u00d7';
+    removeButton.title = 'Remove rule';
+    removeButton.setAttribute('aria-label', 'Remove rule');
+    removeButton.addEventListener('click', async () => {
+      settings.privacyRules = settings.privacyRules.filter((r, i) => i !== index);
+      renderPrivacyRules(settings);
+      await saveSettings(settings);
+    });
+
+    row.appendChild(patternInput);
+    row.appendChild(modeSelect);
+    row.appendChild(removeButton);
+    container.appendChild(row);
+  });
+  document.getElementById('addPrivacyRule').disabled = rules.length >= MAX_PRIVACY_RULES;
+}
+
+// Saved custom themes are listed in the theme select as "custom:<id>"
+function renderThemeOptions(settings) {
+  const group = document.getElementById('customThemeOptions');
+  group.replaceChildren(...settings.customThemes.map(theme => {
+    const option = document.createElement('option');
+    option.value = `custom:${theme.id}`;
+    option.textContent = theme.name;
+    return option;
+  }));
+  group.hidden = settings.customThemes.length === 0;
+
+  const activeTheme = getActiveCustomTheme(settings);
+  if (activeTheme) {
+    document.getElementById('theme').value = `custom:${activeTheme.id}`;
+  } else {
+    // The switcher falls back to dark when the selected custom theme is gone
+    document.getElementById('theme').value = settings.theme === 'custom' ? 'dark' : settings.theme;
+  }
+}
+
+function updateThemeSliderLabel(input) {
+  input.nextElementSibling.textContent = input.value + input.dataset.unit;
+}
+
+// Fill the theme editor from the theme being edited, defaulting to the one in use
+function renderThemeEditor(settings) {
+  const themes = settings.customThemes;
+  if (!themes.some(theme => theme.id === editingThemeId)) {
+    editingThemeId = (getActiveCustomTheme(settings) || themes[0] || {}).id || null;
+  }
+
+  const select = document.getElementById('customThemeSelect');
+  if (themes.length === 0) {
+    const placeholder = document.createElement('option');
+    placeholder.textContent = 'No saved themes';
+    select.replaceChildren(placeholder);
+  } else {
+    select.replaceChildren(...themes.map(theme => {
+      const option = document.createElement('option');
+      option.value = theme.id;
+      option.textContent = theme.name;
+      return option;
+    }));
+  }
+  select.disabled = themes.length === 0;
+  document.getElementById('newCustomTheme').disabled = themes.length >= MAX_CUSTOM_THEMES;
+  document.getElementById('deleteCustomTheme').disabled = !editingThemeId;
+
+  const editor = document.getElementById('themeEditor');
+  const theme = themes.find(t => t.id === editingThemeId);
+  editor.hidden = !theme;
+  if (!theme) return;
+
+  select.value = theme.id;
+  document.getElementById('customThemeName').value = theme.name;
+  document.getElementById('customThemeFont').value = theme.fontFamily;
+  editor.querySelectorAll('[data-theme-field]').forEach(input => {
+    input.value = theme[input.dataset.themeField];
+    if (input.type === 'range') updateThemeSliderLabel(input);
+  });
+}
+
+function refreshThemeUI(settings) {
+  renderThemeOptions(settings);
+  renderThemeEditor(settings);
+  applyOptionsTheme(settings);
+}
+
+// Save one field of the theme being edited and switch the switcher to that theme
+async function updateCustomTheme(settings, field, value) {
+  const warnings = [];
+  const validated = validateValue(CUSTOM_THEME_SCHEMA[field], value, field, warnings);
+  if (warnings.length > 0) {
+    showSaveStatus(THEME_FIELD_ERRORS[field] || `Invalid ${field}`, true);
+    renderThemeEditor(settings);
+    return;
+  }
+  settings.customThemes = settings.customThemes.map(theme =>
+    theme.id === editingThemeId ? { ...theme, [field]: validated } : theme
+  );
+  settings.theme = 'custom';
+  settings.customThemeId = editingThemeId;
+  refreshThemeUI(settings);
+  await saveSettings(settings);
+}
+
 // Apply settings to UI
 function applySettingsToUI(settings) {
-  // Theme
-  document.getElementById('theme').value = settings.theme;
+  // Theme and custom themes
+  renderThemeOptions(settings);
+  renderThemeEditor(settings);
 
   // Accent color
   document.querySelectorAll('.color-btn').forEach(btn => {
@@ -86,12 +270,36 @@ function applySettingsToUI(settings) {
   document.getElementById('previewSize').value = settings.previewSize;
   document.getElementById('previewSizeValue').textContent = settings.previewSize + '%';
 
+  // Sticky mode
+  document.getElementById('stickyMode').checked = settings.stickyMode;
+
   // Max tabs
   document.getElementById('maxTabs').value = settings.maxTabs;
 
+  // Switcher scope
+  document.getElementById('switcherScope').value = settings.switcherScope;
+  document.getElementById('tabOrder').value = settings.tabOrder;
+
+  // Tab groups
+  document.getElementById('includeCollapsedGroups').checked = settings.includeCollapsedGroups;
+  document.getElementById('groupByTabGroup').checked = settings.groupByTabGroup;
+
   // Show previews
   document.getElementById('showPreviews').checked = settings.showPreviews;
 
+  // Preview storage
+  document.getElementById('screenshotCacheMB').value = settings.screenshotCacheMB;
+  document.getElementById('screenshotCacheMBValue').textContent = settings.screenshotCacheMB + ' MB';
+
+  // Stale preview age
+  document.getElementById('stalePreviewMinutes').value = String(settings.stalePreviewMinutes);
+
+  // Privacy
+  renderPrivacyRules(settings);
+  document.getElementById('shortRetentionMinutes').value = String(settings.shortRetentionMinutes);
+  document.getElementById('clearPreviewsOnExit').checked = settings.clearPreviewsOnExit;
+  document.getElementById('captureIncognito').checked = settings.captureIncognito;
+
   // Peek modifier
   document.getElementById('peekModifier').value = settings.peekModifier;
 
@@ -102,21 +310,156 @@ function applySettingsToUI(settings) {
   // Peek blur
   document.getElementById('peekBlur').value = settings.peekBlur;
   document.getElementById('peekBlurValue').textContent = settings.peekBlur + 'px';
+
+  // Sync
+  document.getElementById('syncSettings').checked = settings.syncSettings;
+}
+
+// Replace the page's settings with ones the background stored (sync, import)
+function replaceSettings(settings, updated) {
+  Object.keys(settings).forEach(key => delete settings[key]);
+  Object.assign(settings, defaultSettings, updated);
+  applySettingsToUI(settings);
+  applyOptionsTheme(settings);
+}
+
+function downloadSettingsFile(data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `tab-switcher-settings-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Slider ranges follow the shared settings schema
+function applySettingRanges() {
+  ['previewSize', 'screenshotCacheMB', 'peekSize', 'peekBlur'].forEach(key => {
+    const input = document.getElementById(key);
+    input.min = SETTINGS_SCHEMA[key].min;
+    input.max = SETTINGS_SCHEMA[key].max;
+  });
+  document.querySelectorAll('#themeEditor input[type="range"]').forEach(input => {
+    input.min = CUSTOM_THEME_SCHEMA[input.dataset.themeField].min;
+    input.max = CUSTOM_THEME_SCHEMA[input.dataset.themeField].max;
+  });
 }
 
 // Initialize the options page
 async function init() {
+  applySettingRanges();
   const settings = await loadSettings();
   applySettingsToUI(settings);
-  applyOptionsTheme(settings.theme);
+  applyOptionsTheme(settings);
+
+  // Live preview
+  layoutLivePreview();
+  window.addEventListener('resize', layoutLivePreview);
+  document.querySelectorAll('[data-preview-view]').forEach(button => {
+    button.addEventListener('click', () => updateLivePreview(button.dataset.previewView));
+  });
+  // Saved changes reach the preview through storage; these controls bring the switcher into view
+  ['theme', 'customThemeSelect', 'maxTabs', 'switcherScope', 'tabOrder', 'showPreviews'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => updateLivePreview('switcher'));
+  });
+  document.querySelectorAll('.color-btn').forEach(btn => {
+    btn.addEventListener('click', () => updateLivePreview('switcher'));
+  });
+
+  // The background reports settings that could not be synced
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'settingsSyncFailed') {
+      showSaveStatus(`Settings sync failed: ${message.error}`, true);
+    }
+  });
+
+  // Pick up changes made elsewhere (another options page, sync) without a reload
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[SETTINGS_KEY]) return;
+    const updated = changes[SETTINGS_KEY].newValue || {};
+    if (JSON.stringify({ ...defaultSettings, ...updated }) === JSON.stringify(settings)) return;
+    replaceSettings(settings, updated);
+  });
 
   // Theme change
   document.getElementById('theme').addEventListener('change', async (e) => {
-    settings.theme = e.target.value;
-    applyOptionsTheme(settings.theme);
+    const value = e.target.value;
+    if (value.startsWith('custom:')) {
+      settings.theme = 'custom';
+      settings.customThemeId = value.slice('custom:'.length);
+      editingThemeId = settings.customThemeId;
+    } else {
+      settings.theme = value;
+    }
+    refreshThemeUI(settings);
     await saveSettings(settings);
   });
 
+  // Theme editor
+  document.getElementById('customThemeSelect').addEventListener('change', (e) => {
+    editingThemeId = e.target.value;
+    renderThemeEditor(settings);
+  });
+  document.getElementById('newCustomTheme').addEventListener('click', async () => {
+    if (settings.customThemes.length >= MAX_CUSTOM_THEMES) return;
+    // New themes start as a copy of the one being edited, or from the defaults
+    const defaults = Object.fromEntries(
+      Object.entries(CUSTOM_THEME_SCHEMA).map(([field, spec]) => [field, spec.default])
+    );
+    const base = settings.customThemes.find(theme => theme.id === editingThemeId);
+    const theme = {
+      ...defaults,
+      ...base,
+      id: `theme-${Date.now().toString(36)}`,
+      name: `Theme ${settings.customThemes.length + 1}`
+    };
+    settings.customThemes = [...settings.customThemes, theme];
+    settings.theme = 'custom';
+    settings.customThemeId = theme.id;
+    editingThemeId = theme.id;
+    refreshThemeUI(settings);
+    document.getElementById('customThemeName').select();
+    await saveSettings(settings);
+  });
+  document.getElementById('deleteCustomTheme').addEventListener('click', async () => {
+    settings.customThemes = settings.customThemes.filter(theme => theme.id !== editingThemeId);
+    if (settings.customThemeId === editingThemeId) {
+      settings.customThemeId = '';
+      if (settings.theme === 'custom') settings.theme = 'dark';
+    }
+    editingThemeId = null;
+    refreshThemeUI(settings);
+    await saveSettings(settings);
+  });
+  document.getElementById('customThemeName').addEventListener('change', async (e) => {
+    await updateCustomTheme(settings, 'name', e.target.value.trim());
+  });
+  document.getElementById('customThemeFont').addEventListener('change', async (e) => {
+    await updateCustomTheme(settings, 'fontFamily', e.target.value.trim());
+  });
+  // Colors and sliders save once the picker closes or the slider is released; until then
+  // only the live preview follows them
+  document.querySelectorAll('#themeEditor [data-theme-field]').forEach(input => {
+    input.addEventListener('input', () => {
+      if (input.type === 'range') updateThemeSliderLabel(input);
+      const field = input.dataset.themeField;
+      const value = input.type === 'range' ? parseInt(input.value, 10) : input.value;
+      updateLivePreview('switcher', {
+        ...settings,
+        theme: 'custom',
+        customThemeId: editingThemeId,
+        customThemes: settings.customThemes.map(theme =>
+          theme.id === editingThemeId ? { ...theme, [field]: value } : theme
+        )
+      });
+    });
+    input.addEventListener('change', async () => {
+      const value = input.type === 'range' ? parseInt(input.value, 10) : input.value;
+      await updateCustomTheme(settings, input.dataset.themeField, value);
+    });
+  });
+
   // Accent color change
   document.querySelectorAll('.color-btn').forEach(btn => {
     btn.addEventListener('click', async () => {
@@ -130,24 +473,111 @@ async function init() {
   // Preview size change
   document.getElementById('previewSize').addEventListener('input', (e) => {
     document.getElementById('previewSizeValue').textContent = e.target.value + '%';
+    updateLivePreview('switcher', { ...settings, previewSize: parseInt(e.target.value, 10) });
   });
   document.getElementById('previewSize').addEventListener('change', async (e) => {
     settings.previewSize = parseInt(e.target.value, 10);
     await saveSettings(settings);
   });
 
+  // Sticky mode change
+  document.getElementById('stickyMode').addEventListener('change', async (e) => {
+    settings.stickyMode = e.target.checked;
+    await saveSettings(settings);
+  });
+
   // Max tabs change
   document.getElementById('maxTabs').addEventListener('change', async (e) => {
     settings.maxTabs = e.target.value;
     await saveSettings(settings);
   });
 
+  // Switcher scope change
+  document.getElementById('switcherScope').addEventListener('change', async (e) => {
+    settings.switcherScope = e.target.value;
+    await saveSettings(settings);
+  });
+
+  // Tab order change
+  document.getElementById('tabOrder').addEventListener('change', async (e) => {
+    settings.tabOrder = e.target.value;
+    await saveSettings(settings);
+  });
+
+  // Tab group changes
+  document.getElementById('includeCollapsedGroups').addEventListener('change', async (e) => {
+    settings.includeCollapsedGroups = e.target.checked;
+    await saveSettings(settings);
+  });
+  document.getElementById('groupByTabGroup').addEventListener('change', async (e) => {
+    settings.groupByTabGroup = e.target.checked;
+    await saveSettings(settings);
+  });
+
   // Show previews change
   document.getElementById('showPreviews').addEventListener('change', async (e) => {
     settings.showPreviews = e.target.checked;
     await saveSettings(settings);
   });
 
+  // Preview storage change
+  document.getElementById('screenshotCacheMB').addEventListener('input', (e) => {
+    document.getElementById('screenshotCacheMBValue').textContent = e.target.value + ' MB';
+  });
+  document.getElementById('screenshotCacheMB').addEventListener('change', async (e) => {
+    settings.screenshotCacheMB = parseInt(e.target.value, 10);
+    await saveSettings(settings);
+  });
+
+  // Stale preview age change
+  document.getElementById('stalePreviewMinutes').addEventListener('change', async (e) => {
+    settings.stalePreviewMinutes = parseInt(e.target.value, 10);
+    await saveSettings(settings);
+  });
+
+  // Privacy changes
+  document.getElementById('addPrivacyRule').addEventListener('click', () => {
+    if ((settings.privacyRules || []).length >= MAX_PRIVACY_RULES) return;
+    // Saved once it has a pattern; an empty rule matches nothing
+    settings.privacyRules = [...(settings.privacyRules || []), { pattern: '', mode: 'never' }];
+    renderPrivacyRules(settings);
+    const inputs = document.querySelectorAll('.privacy-rule-pattern');
+    inputs[inputs.length - 1].focus();
+  });
+  document.getElementById('shortRetentionMinutes').addEventListener('change', async (e) => {
+    settings.shortRetentionMinutes = parseInt(e.target.value, 10);
+    await saveSettings(settings);
+  });
+  document.getElementById('clearPreviewsOnExit').addEventListener('change', async (e) => {
+    settings.clearPreviewsOnExit = e.target.checked;
+    await saveSettings(settings);
+  });
+  document.getElementById('captureIncognito').addEventListener('change', async (e) => {
+    settings.captureIncognito = e.target.checked;
+    await saveSettings(settings);
+  });
+
+  // Refresh all previews
+  document.getElementById('refreshAllPreviews').addEventListener('click', async (e) => {
+    const button = e.currentTarget;
+    button.disabled = true;
+    button.textContent = 'Refreshing...';
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'refreshAllPreviews' });
+      if (response && response.success) {
+        showSaveStatus(`Refreshed ${response.count} preview${response.count === 1 ? '' : 's'}`);
+      } else {
+        showSaveStatus('Error refreshing previews', true);
+      }
+    } catch (error) {
+      console.error('Failed to refresh previews:', error);
+      showSaveStatus('Error refreshing previews', true);
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Refresh All';
+    }
+  });
+
   // Peek modifier change
   document.getElementById('peekModifier').addEventListener('change', async (e) => {
     settings.peekModifier = e.target.value;
@@ -157,6 +587,7 @@ async function init() {
   // Peek size change
   document.getElementById('peekSize').addEventListener('input', (e) => {
     document.getElementById('peekSizeValue').textContent = e.target.value + '%';
+    updateLivePreview('peek', { ...settings, peekSize: parseInt(e.target.value, 10) });
   });
   document.getElementById('peekSize').addEventListener('change', async (e) => {
     settings.peekSize = parseInt(e.target.value, 10);
@@ -166,12 +597,68 @@ async function init() {
   // Peek blur change
   document.getElementById('peekBlur').addEventListener('input', (e) => {
     document.getElementById('peekBlurValue').textContent = e.target.value + 'px';
+    updateLivePreview('peek', { ...settings, peekBlur: parseInt(e.target.value, 10) });
   });
   document.getElementById('peekBlur').addEventListener('change', async (e) => {
     settings.peekBlur = parseInt(e.target.value, 10);
     await saveSettings(settings);
   });
 
+  // Sync toggle: the background may replace these settings with already-synced ones
+  document.getElementById('syncSettings').addEventListener('change', async (e) => {
+    const enabled = e.target.checked;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'setSettingsSync', enabled });
+      if (!response || !response.success) throw new Error(response?.error || 'No response');
+      replaceSettings(settings, response.settings);
+      showSaveStatus(enabled ? 'Settings sync turned on' : 'Settings sync turned off');
+    } catch (error) {
+      console.error('Failed to change settings sync:', error);
+      e.target.checked = !enabled;
+      showSaveStatus(`Failed to change settings sync: ${error.message}`, true);
+    }
+  });
+
+  // Export / import
+  document.getElementById('exportSettings').addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'exportSettings' });
+      if (!response || !response.success) throw new Error(response?.error || 'No response');
+      downloadSettingsFile(response.data);
+      showSaveStatus('Settings exported');
+    } catch (error) {
+      console.error('Failed to export settings:', error);
+      showSaveStatus('Failed to export settings', true);
+    }
+  });
+  const importInput = document.getElementById('importSettingsFile');
+  document.getElementById('importSettings').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (parseError) {
+        throw new Error('The file is not valid JSON');
+      }
+      const response = await chrome.runtime.sendMessage({ action: 'importSettings', data });
+      if (!response || !response.success) throw new Error(response?.error || 'No response');
+      replaceSettings(settings, response.settings);
+      if (response.warnings.length > 0) {
+        console.warn('Adjusted while importing settings:', response.warnings);
+        showSaveStatus(`Settings imported (${response.warnings.length} value${response.warnings.length === 1 ? '' : 's'} adjusted)`);
+      } else {
+        showSaveStatus('Settings imported');
+      }
+    } catch (error) {
+      console.error('Failed to import settings:', error);
+      showSaveStatus(`Import failed: ${error.message}`, true);
+    }
+  });
+
   // Shortcuts links - open Chrome shortcuts page
   document.getElementById('shortcutsLink').addEventListener('click', (e) => {
     e.preventDefault();
@@ -0,0 +1,273 @@
+// Toolbar popup for Tab Switcher Previews
+// Lists the same tabs as the switcher for this window, most recent first, with thumbnails
+// from the screenshot cache. It works on every page, including ones the content script
+// can't reach. Type to filter; the arrow keys, Home/End and PageUp/PageDown move the
+// selection, Enter switches and Esc clears the search or closes the popup.
+
+const PAGE_STEP = 5;
+const FALLBACK_FAVICON = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><rect width="16" height="16" fill="%23888"/></svg>';
+
+let popupTabs = [];
+let filteredTabs = [];
+let selectedIndex = 0;
+let currentTabId = null;
+let popupWindowId = null;
+let showPreviews = true;
+
+const searchInput = document.getElementById('popupSearch');
+const tabList = document.getElementById('popupTabList');
+const emptyMessage = document.getElementById('popupEmpty');
+const announcer = document.getElementById('popupAnnouncer');
+
+// Thumbnails stream in over a port as list items scroll into view
+const thumbnailPort = chrome.runtime.connect({ name: 'popupSwitcher' });
+const thumbnailCache = new Map(); // Map<thumbnailKey, dataUrl>
+const requestedThumbnails = new Set();
+
+function getThumbnailKey(tab) {
+  return `tab-${tab.id}`;
+}
+
+thumbnailPort.onMessage.addListener((message) => {
+  if (message.action !== 'thumbnail') return;
+  thumbnailCache.set(message.key, message.screenshot);
+  const item = tabList.querySelector(`[data-thumbnail-key="${CSS.escape(message.key)}"]`);
+  if (item) applyThumbnail(item, message.screenshot);
+});
+
+function applyThumbnail(item, screenshot) {
+  const preview = item.querySelector('.popup-thumb img');
+  preview.src = screenshot;
+  item.querySelector('.popup-thumb').classList.add('loaded');
+}
+
+const thumbnailObserver = new IntersectionObserver((entries) => {
+  const items = [];
+  entries.forEach(entry => {
+    if (!entry.isIntersecting) return;
+    const key = entry.target.dataset.thumbnailKey;
+    const tab = filteredTabs[Number(entry.target.dataset.index)];
+    thumbnailObserver.unobserve(entry.target);
+    if (!tab || requestedThumbnails.has(key)) return;
+    requestedThumbnails.add(key);
+    items.push({ key, tabId: tab.id, url: tab.url });
+  });
+  if (items.length > 0) {
+    thumbnailPort.postMessage({ action: 'requestThumbnails', items, windowId: popupWindowId });
+  }
+}, { root: tabList, rootMargin: '120px 0px' });
+
+function getTabDomain(tab) {
+  try {
+    return new URL(tab.url || '').hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Every query word must appear in the title or URL; the recent-first order is kept
+function filterTabs(query) {
+  const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return popupTabs;
+  return popupTabs.filter(tab => {
+    const haystack = `${tab.title || ''} ${tab.url || ''}`.toLowerCase();
+    return tokens.every(token => haystack.includes(token));
+  });
+}
+
+function createTabItem(tab, index) {
+  const item = document.createElement('li');
+  item.className = 'popup-tab';
+  item.id = `popup-option-${index}`;
+  item.setAttribute('role', 'option');
+  item.dataset.index = index;
+  item.dataset.thumbnailKey = getThumbnailKey(tab);
+
+  if (showPreviews) {
+    const thumb = document.createElement('div');
+    thumb.className = 'popup-thumb';
+    const preview = document.createElement('img');
+    preview.alt = '';
+    const favicon = document.createElement('img');
+    favicon.className = 'popup-thumb-favicon';
+    favicon.alt = '';
+    favicon.src = tab.favIconUrl || FALLBACK_FAVICON;
+    favicon.onerror = () => { favicon.src = FALLBACK_FAVICON; };
+    thumb.append(preview, favicon);
+    item.appendChild(thumb);
+  }
+
+  const text = document.createElement('div');
+  text.className = 'popup-tab-text';
+  const title = document.createElement('span');
+  title.className = 'popup-tab-title';
+  title.textContent = tab.title || 'Untitled';
+  const meta = document.createElement('span');
+  meta.className = 'popup-tab-meta';
+  const metaParts = [getTabDomain(tab)];
+  if (tab.windowLabel) metaParts.push(tab.windowLabel);
+  if (tab.id === currentTabId) metaParts.push('Current tab');
+  meta.textContent = metaParts.filter(Boolean).join(' · ');
+  text.append(title, meta);
+  item.appendChild(text);
+
+  item.setAttribute('aria-label', [tab.title || 'Untitled', ...metaParts.filter(Boolean)].join(', '));
+
+  item.addEventListener('click', () => switchToTab(tab));
+  item.addEventListener('mousemove', () => {
+    if (selectedIndex !== index) {
+      selectedIndex = index;
+      updateSelection({ scroll: false });
+    }
+  });
+
+  const cached = thumbnailCache.get(item.dataset.thumbnailKey);
+  if (cached && showPreviews) {
+    applyThumbnail(item, cached);
+  }
+  return item;
+}
+
+function renderTabs() {
+  filteredTabs = filterTabs(searchInput.value);
+  if (selectedIndex >= filteredTabs.length) selectedIndex = Math.max(0, filteredTabs.length - 1);
+
+  thumbnailObserver.disconnect();
+  const items = filteredTabs.map((tab, index) => createTabItem(tab, index));
+  tabList.replaceChildren(...items);
+  if (showPreviews) {
+    items.forEach(item => thumbnailObserver.observe(item));
+  }
+
+  emptyMessage.hidden = filteredTabs.length > 0;
+  updateSelection({ scroll: true });
+}
+
+function updateSelection({ scroll }) {
+  tabList.querySelectorAll('.popup-tab.selected').forEach(item => {
+    item.classList.remove('selected');
+    item.setAttribute('aria-selected', 'false');
+  });
+
+  const selected = document.getElementById(`popup-option-${selectedIndex}`);
+  if (!selected) {
+    searchInput.removeAttribute('aria-activedescendant');
+    return;
+  }
+  selected.classList.add('selected');
+  selected.setAttribute('aria-selected', 'true');
+  searchInput.setAttribute('aria-activedescendant', selected.id);
+  if (scroll) {
+    selected.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function moveSelection(delta) {
+  if (filteredTabs.length === 0) return;
+  selectedIndex = Math.min(filteredTabs.length - 1, Math.max(0, selectedIndex + delta));
+  updateSelection({ scroll: true });
+}
+
+async function switchToTab(tab) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'switchToTab', tabId: tab.id, windowId: popupWindowId });
+  } catch (error) {
+    console.error('Failed to switch tab:', error);
+  }
+  window.close();
+}
+
+searchInput.addEventListener('input', () => {
+  // Searching starts from the best match
+  selectedIndex = 0;
+  renderTabs();
+  announcer.textContent = filteredTabs.length === 1 ? '1 tab' : `${filteredTabs.length} tabs`;
+});
+
+searchInput.addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown') {
+    moveSelection(1);
+  } else if (e.key === 'ArrowUp') {
+    moveSelection(-1);
+  } else if (e.key === 'PageDown') {
+    moveSelection(PAGE_STEP);
+  } else if (e.key === 'PageUp') {
+    moveSelection(-PAGE_STEP);
+  } else if (e.key === 'Home' && !searchInput.value) {
+    moveSelection(-filteredTabs.length);
+  } else if (e.key === 'End' && !searchInput.value) {
+    moveSelection(filteredTabs.length);
+  } else if (e.key === 'Enter') {
+    if (filteredTabs[selectedIndex]) {
+      switchToTab(filteredTabs[selectedIndex]);
+    }
+  } else if (e.key === 'Escape') {
+    if (!searchInput.value) return; // Let the browser close the popup
+    searchInput.value = '';
+    selectedIndex = 0;
+    renderTabs();
+  } else {
+    return;
+  }
+  e.preventDefault();
+});
+
+document.getElementById('popupSettings').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+  window.close();
+});
+
+// Match the switcher's theme and accent color
+function applyPopupTheme(theme, accentColor, customTheme) {
+  document.body.classList.remove('dark-theme', 'light-theme', 'auto-theme', 'contrast-theme');
+  if (theme === 'custom' && customTheme) {
+    // Custom themes set the palette directly; secondary tones are mixed from it
+    const style = document.body.style;
+    style.setProperty('--popup-bg', customTheme.background);
+    style.setProperty('--popup-surface', `color-mix(in srgb, ${customTheme.text} 6%, ${customTheme.background})`);
+    style.setProperty('--popup-border', customTheme.border);
+    style.setProperty('--popup-text', customTheme.text);
+    style.setProperty('--popup-text-secondary', `color-mix(in srgb, ${customTheme.text} 65%, ${customTheme.background})`);
+    style.setProperty('--popup-hover', `color-mix(in srgb, ${customTheme.text} 8%, ${customTheme.background})`);
+    style.setProperty('--popup-selected', customTheme.selection);
+    style.setProperty('--popup-accent', customTheme.accent);
+    if (customTheme.fontFamily) {
+      style.fontFamily = `${formatFontFamilyList(customTheme.fontFamily)}, sans-serif`;
+    }
+    return;
+  }
+  if (theme === 'system') {
+    document.body.classList.add('auto-theme');
+  } else if (theme === 'light') {
+    document.body.classList.add('light-theme');
+  } else if (theme === 'contrast') {
+    document.body.classList.add('contrast-theme');
+  } else {
+    document.body.classList.add('dark-theme');
+  }
+  document.body.dataset.accent = accentColor;
+}
+
+async function initPopup() {
+  const popupWindow = await chrome.windows.getCurrent();
+  popupWindowId = popupWindow.id;
+
+  const response = await chrome.runtime.sendMessage({ action: 'getPopupTabs', windowId: popupWindowId });
+  popupTabs = response.tabs || [];
+  currentTabId = response.currentTabId;
+  showPreviews = response.showPreviews !== false;
+  applyPopupTheme(response.theme, response.accentColor, response.customTheme);
+
+  // Like the switcher, start on the tab after the current one
+  const currentIndex = popupTabs.findIndex(tab => tab.id === currentTabId);
+  selectedIndex = popupTabs.length > 1 ? (Math.max(0, currentIndex) + 1) % popupTabs.length : 0;
+  renderTabs();
+  searchInput.focus();
+}
+
+initPopup().catch(error => {
+  console.error('Failed to load tabs:', error);
+  emptyMessage.textContent = 'Could not load tabs';
+  emptyMessage.hidden = false;
+});
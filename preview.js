@@ -0,0 +1,116 @@
+// Live preview page for Tab Switcher Previews
+// The options page embeds this page, scaled down to the size of its box. content.js is
+// loaded here and draws the real switcher or peek panel over a still of a recent tab,
+// using this window's tabs and saved previews. The options page posts settings that are
+// still being adjusted (a slider mid-drag), so the preview follows them before they save.
+
+isOptionsPreview = true;
+
+// Settings that change which tabs the switcher lists, and so need a fresh tab list
+const TAB_LIST_SETTINGS = ['switcherScope', 'tabOrder', 'includeCollapsedGroups', 'groupByTabGroup'];
+const PEEK_PLACEHOLDER = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="16" height="10"><rect width="16" height="10" fill="%23888" fill-opacity="0.15"/></svg>';
+
+let previewView = 'switcher'; // 'switcher' or 'peek'
+let previewMessage = null; // the switcher's toggle message for this window
+let pageTab = null; // recent tab shown behind the overlay
+let peekedTab = null; // tab shown as the peeked link
+let draftSettings = null; // unsaved settings from the options page
+const previewScreenshots = new Map(); // Map<'page' | 'peek', dataUrl>
+
+// Stills for the page and the peeked link come over the toolbar popup's port
+const previewPort = chrome.runtime.connect({ name: 'popupSwitcher' });
+
+previewPort.onMessage.addListener((message) => {
+  if (message.action !== 'thumbnail') return;
+  previewScreenshots.set(message.key, message.screenshot);
+  if (message.key === 'page') {
+    document.body.style.backgroundImage = `url("${message.screenshot}")`;
+  } else if (message.key === 'peek' && peekVisible && peekShadowRoot) {
+    const snapshot = peekShadowRoot.querySelector('.peek-snapshot');
+    if (snapshot) snapshot.src = message.screenshot;
+  }
+});
+
+async function loadPreviewTabs() {
+  const message = await chrome.runtime.sendMessage({ action: 'getSwitcherPreview' });
+  if (!message || message.error) throw new Error(message?.error || 'No response');
+  previewMessage = message;
+
+  // The options page itself is the current tab; the page behind is the last one used
+  const otherTabs = message.tabs.filter(tab => tab.id !== message.currentTabId);
+  pageTab = otherTabs[0] || null;
+  peekedTab = otherTabs[1] || otherTabs[0] || null;
+
+  previewScreenshots.clear();
+  document.body.style.backgroundImage = '';
+  const items = [];
+  if (pageTab) items.push({ key: 'page', tabId: pageTab.id, url: pageTab.url });
+  if (peekedTab) items.push({ key: 'peek', tabId: peekedTab.id, url: peekedTab.url });
+  const currentTab = message.tabs.find(tab => tab.id === message.currentTabId);
+  if (items.length > 0 && currentTab) {
+    previewPort.postMessage({ action: 'requestThumbnails', items, windowId: currentTab.windowId });
+  }
+}
+
+// Draw the switcher or the peek panel from scratch
+async function showPreview() {
+  if (!previewMessage) return;
+  closePeek();
+  hideSwitcher();
+
+  if (previewView === 'peek') {
+    await loadSettings();
+    const url = peekedTab ? peekedTab.url : 'https://example.com/';
+    const title = peekedTab ? (peekedTab.title || url) : 'Example link';
+    await openPeek(url, title, { snapshot: previewScreenshots.get('peek') || PEEK_PLACEHOLDER });
+  } else {
+    await handleToggleSwitcher(previewMessage);
+  }
+
+  // Showing reloads the saved settings; keep the ones still being adjusted
+  if (draftSettings) {
+    applyStoredSettings(draftSettings);
+    refreshOpenOverlays();
+  }
+}
+
+window.addEventListener('message', (event) => {
+  if (event.origin !== location.origin || !event.data) return;
+  const { action, view, settings } = event.data;
+  if (action !== 'previewSettings') return;
+
+  if (settings) {
+    draftSettings = settings;
+    applyStoredSettings(settings);
+  }
+  if (view && view !== previewView) {
+    previewView = view;
+    showPreview().catch(error => console.error('Failed to show preview:', error));
+  } else {
+    refreshOpenOverlays();
+  }
+});
+
+// Saved settings replace any draft; content.js restyles the open overlay itself
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[SETTINGS_KEY]) return;
+  draftSettings = null;
+  const oldValue = changes[SETTINGS_KEY].oldValue || {};
+  const newValue = changes[SETTINGS_KEY].newValue || {};
+  if (TAB_LIST_SETTINGS.some(key => oldValue[key] !== newValue[key])) {
+    reloadLivePreview();
+  }
+});
+
+function reloadLivePreview() {
+  loadPreviewTabs()
+    .then(showPreview)
+    .catch(error => console.error('Failed to load preview tabs:', error));
+}
+
+// Tabs change while the options page is in the background; catch up when it is shown again
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') reloadLivePreview();
+});
+
+reloadLivePreview();
@@ -0,0 +1,273 @@
+// Shared settings definition for Tab Switcher Previews
+// Loaded by the background (importScripts), before content.js in pages and the fallback
+// switcher, and by the options page: one place for defaults, allowed values, ranges,
+// validation and schema migrations. Settings are stored in chrome.storage.local under
+// SETTINGS_KEY; the background migrates them and mirrors them to sync when enabled.
+
+// Each setting's default and what values it accepts. Numbers are clamped
+// to their range, and numeric choices snap to the nearest allowed value.
+const SETTINGS_KEY = 'tabSwitcherSettings';
+const LEGACY_SETTINGS_KEY = 'arcTabSwitcherSettings';
+const SETTINGS_SCHEMA = {
+  // 'custom' uses the saved theme named by customThemeId
+  theme: { default: 'dark', values: ['dark', 'light', 'system', 'contrast', 'custom'] },
+  customThemes: { default: [], validate: validateCustomThemes },
+  customThemeId: { default: '', pattern: /^[\w-]{0,40}$/ },
+  accentColor: { default: 'blue', values: ['blue', 'purple', 'pink', 'red', 'orange', 'green', 'teal'] },
+  previewSize: { default: 100, min: 75, max: 150 },
+  maxTabs: { default: 'auto', values: ['auto', '3', '5', '7', '10'] },
+  showPreviews: { default: true },
+  peekModifier: { default: 'Alt', values: ['Alt', 'Meta', 'Control'] },
+  peekSize: { default: 75, min: 40, max: 96 },
+  peekBlur: { default: 4, min: 0, max: 20 },
+  switcherScope: { default: 'window', values: ['window', 'all'] },
+  tabOrder: { default: 'mru', values: ['mru', 'tabStrip', 'frecency', 'domain'] },
+  includeCollapsedGroups: { default: true },
+  groupByTabGroup: { default: false },
+  screenshotCacheMB: { default: 50, min: 10, max: 200 },
+  stalePreviewMinutes: { default: 60, values: [15, 60, 360, 1440, 0] },
+  privacyRules: { default: [], validate: validatePrivacyRules },
+  shortRetentionMinutes: { default: 15, values: [5, 15, 60, 240] },
+  clearPreviewsOnExit: { default: false },
+  captureIncognito: { default: false },
+  stickyMode: { default: false },
+  // Whether this device syncs its settings; never synced or exported itself
+  syncSettings: { default: false, localOnly: true }
+};
+
+const defaultSettings = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, spec]) => [key, spec.default])
+);
+
+// Per-site privacy rule modes (see the privacy rules in background.js)
+const PRIVACY_MODES = ['never', 'blur', 'expire'];
+// Like MAX_CUSTOM_THEMES, these keep settings small; see SYNC_ITEM_QUOTA_BYTES for the
+// size limit itself
+const MAX_PRIVACY_RULES = 25;
+const MAX_PRIVACY_PATTERN_LENGTH = 80;
+
+function validatePrivacyRules(rules, warnings) {
+  if (!Array.isArray(rules)) {
+    warnings.push('privacyRules is not a list and was reset');
+    return [];
+  }
+  const valid = rules.filter(rule =>
+    rule && typeof rule.pattern === 'string' && rule.pattern.trim() &&
+    rule.pattern.trim().length <= MAX_PRIVACY_PATTERN_LENGTH && PRIVACY_MODES.includes(rule.mode)
+  ).map(rule => ({ pattern: rule.pattern.trim(), mode: rule.mode }));
+  if (valid.length < rules.length) {
+    warnings.push(`${rules.length - valid.length} invalid privacy rule(s) dropped`);
+  }
+  if (valid.length > MAX_PRIVACY_RULES) {
+    warnings.push(`Only the first ${MAX_PRIVACY_RULES} privacy rules were kept`);
+  }
+  return valid.slice(0, MAX_PRIVACY_RULES);
+}
+
+// Named themes from the theme editor. Colors are #rrggbb; opacity is the switcher
+// background's, in percent. An empty font family keeps the system font.
+const MAX_CUSTOM_THEMES = 12;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+// One font family: a bare name, or a name in matching quotes (no commas inside)
+const FONT_FAMILY_NAME = ` *(?:[\\w-][\\w -]*|"[\\w-][\\w -]*"|'[\\w-][\\w -]*') *`;
+// Generic families lose their meaning when quoted
+const GENERIC_FONT_FAMILIES = new Set(['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math']);
+const CUSTOM_THEME_SCHEMA = {
+  id: { default: '', pattern: /^[\w-]{1,40}$/ },
+  name: { default: 'Custom theme', pattern: /^[^\n]{1,40}$/ },
+  accent: { default: '#3b82f6', pattern: COLOR_PATTERN },
+  background: { default: '#1e1e23', pattern: COLOR_PATTERN },
+  text: { default: '#ffffff', pattern: COLOR_PATTERN },
+  border: { default: '#3f3f46', pattern: COLOR_PATTERN },
+  selection: { default: '#1e3a66', pattern: COLOR_PATTERN },
+  opacity: { default: 98, min: 50, max: 100 },
+  radius: { default: 12, min: 0, max: 24 },
+  // A comma list of family names; formatFontFamilyList() quotes them for CSS
+  fontFamily: { default: '', pattern: new RegExp(`^(?=.{0,120}$)(?:${FONT_FAMILY_NAME}(?:,${FONT_FAMILY_NAME})*)?$`) },
+  titleSize: { default: 12, min: 10, max: 18 }
+};
+
+function validateCustomThemes(themes, warnings) {
+  if (!Array.isArray(themes)) {
+    warnings.push('customThemes is not a list and was reset');
+    return [];
+  }
+  const seenIds = new Set();
+  const valid = [];
+  themes.forEach((theme, index) => {
+    const hasValidId = theme && typeof theme.id === 'string' && CUSTOM_THEME_SCHEMA.id.pattern.test(theme.id);
+    if (!hasValidId || seenIds.has(theme.id)) {
+      warnings.push(`Custom theme ${index + 1} has no valid id and was dropped`);
+      return;
+    }
+    seenIds.add(theme.id);
+    const validated = {};
+    Object.keys(CUSTOM_THEME_SCHEMA).forEach(field => {
+      validated[field] = field in theme
+        ? validateValue(CUSTOM_THEME_SCHEMA[field], theme[field], `Theme "${theme.id}" ${field}`, warnings)
+        : CUSTOM_THEME_SCHEMA[field].default;
+    });
+    valid.push(validated);
+  });
+  if (valid.length > MAX_CUSTOM_THEMES) {
+    warnings.push(`Only the first ${MAX_CUSTOM_THEMES} custom themes were kept`);
+  }
+  return valid.slice(0, MAX_CUSTOM_THEMES);
+}
+
+// The saved theme the settings point at, if the custom theme is selected and still exists
+function getActiveCustomTheme(settings) {
+  if (settings.theme !== 'custom' || !Array.isArray(settings.customThemes)) return null;
+  return settings.customThemes.find(theme => theme.id === settings.customThemeId) || null;
+}
+
+// A custom theme's font list as a CSS font-family value: every name is quoted by us, so
+// the setting can't end a string or a declaration early. Generic families stay bare.
+function formatFontFamilyList(fontFamily) {
+  return fontFamily.split(',')
+    .map(name => name.trim().replace(/^(['"])(.*)\1$/, '$2').trim())
+    .filter(Boolean)
+    .map(name => (GENERIC_FONT_FAMILIES.has(name.toLowerCase()) ? name : `"${name}"`))
+    .join(', ');
+}
+
+// "#rrggbb" -> "r, g, b" for use in rgba()
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+}
+
+// Whether a custom theme color reads as dark, to pick matching light or dark surroundings
+function isDarkColor(hex) {
+  const [r, g, b] = hexToRgb(hex).split(', ').map(Number);
+  return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255 < 0.5;
+}
+
+function validateSetting(key, value, warnings) {
+  return validateValue(SETTINGS_SCHEMA[key], value, key, warnings);
+}
+
+// Check one value against its spec, returning it, an adjusted value or the default
+function validateValue(spec, value, key, warnings) {
+  if (spec.validate) {
+    return spec.validate(value, warnings);
+  }
+
+  if (spec.pattern) {
+    if (typeof value === 'string' && spec.pattern.test(value)) return value;
+    warnings.push(`${key} ${JSON.stringify(value)} is not valid and was reset`);
+    return spec.default;
+  }
+
+  if (typeof spec.default === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    warnings.push(`${key} must be true or false and was reset`);
+    return spec.default;
+  }
+
+  if (spec.values) {
+    if (spec.values.includes(value)) return value;
+    if (typeof value === 'number' && spec.values.includes(String(value))) return String(value);
+    const numericValues = spec.values.filter(allowed => typeof allowed === 'number');
+    const number = Number(value);
+    if (numericValues.length > 0 && value !== '' && value !== null && Number.isFinite(number)) {
+      const nearest = numericValues.reduce((best, allowed) =>
+        Math.abs(allowed - number) < Math.abs(best - number) ? allowed : best
+      );
+      if (nearest !== value) {
+        warnings.push(`${key} ${JSON.stringify(value)} was changed to ${nearest}`);
+      }
+      return nearest;
+    }
+    warnings.push(`${key} ${JSON.stringify(value)} is not supported and was reset`);
+    return spec.default;
+  }
+
+  const number = Number(value);
+  if (value === '' || value === null || typeof value === 'boolean' || !Number.isFinite(number)) {
+    warnings.push(`${key} must be a number and was reset`);
+    return spec.default;
+  }
+  const clamped = Math.min(spec.max, Math.max(spec.min, number));
+  if (clamped !== number) {
+    warnings.push(`${key} ${number} was clamped to ${clamped}`);
+  }
+  return clamped;
+}
+
+// Check every known setting, filling in defaults for missing ones. Unknown keys are dropped.
+function validateSettings(input, warnings = []) {
+  const settings = {};
+  Object.keys(SETTINGS_SCHEMA).forEach(key => {
+    settings[key] = key in input ? validateSetting(key, input[key], warnings) : defaultSettings[key];
+  });
+  Object.keys(input).forEach(key => {
+    if (!(key in SETTINGS_SCHEMA) && key !== 'schemaVersion') {
+      warnings.push(`Unknown setting ${key} was ignored`);
+    }
+  });
+  return { settings, warnings };
+}
+
+// Settings carry a schema version. Each migration upgrades settings from the version before
+// it; they run in order, so stored, synced or imported settings of any age end up current.
+// Version 0 is everything saved before versioning, including the old storage key.
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    // Early options pages stored slider values as strings
+    migrate: (settings) => {
+      const migrated = { ...settings };
+      ['previewSize', 'peekSize', 'peekBlur', 'screenshotCacheMB', 'stalePreviewMinutes', 'shortRetentionMinutes']
+        .forEach(key => {
+          if (typeof migrated[key] === 'string' && migrated[key].trim() !== '' && !Number.isNaN(Number(migrated[key]))) {
+            migrated[key] = Number(migrated[key]);
+          }
+        });
+      return migrated;
+    }
+  }
+];
+const SETTINGS_SCHEMA_VERSION = SETTINGS_MIGRATIONS[SETTINGS_MIGRATIONS.length - 1].version;
+
+function migrateSettings(settings) {
+  const fromVersion = Number.isInteger(settings.schemaVersion) ? settings.schemaVersion : 0;
+  if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+    throw new Error('These settings come from a newer version of the extension');
+  }
+  let migrated = { ...settings };
+  SETTINGS_MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      migrated = { ...migration.migrate(migrated), schemaVersion: migration.version };
+    });
+  return { ...migrated, schemaVersion: SETTINGS_SCHEMA_VERSION };
+}
+
+// The part of the settings that leaves this device (sync and export)
+function getPortableSettings(settings) {
+  const portable = { schemaVersion: SETTINGS_SCHEMA_VERSION };
+  Object.keys(SETTINGS_SCHEMA).forEach(key => {
+    if (!SETTINGS_SCHEMA[key].localOnly && key in settings) {
+      portable[key] = settings[key];
+    }
+  });
+  return portable;
+}
+
+// Synced settings are one chrome.storage.sync item, which may hold QUOTA_BYTES_PER_ITEM
+// (8 KB): its key plus the JSON of its value, in bytes. Changes and imports that would not
+// fit are refused everywhere, so turning sync on later always works.
+const SYNC_ITEM_QUOTA_BYTES = 8192;
+
+function getSyncedSettingsBytes(settings) {
+  return new TextEncoder().encode(SETTINGS_KEY + JSON.stringify(getPortableSettings(settings))).length;
+}
+
+// Why settings can't be saved, or null when they fit in one sync item
+function getSettingsSizeError(settings) {
+  const bytes = getSyncedSettingsBytes(settings);
+  if (bytes <= SYNC_ITEM_QUOTA_BYTES) return null;
+  return `Settings would take ${(bytes / 1024).toFixed(1)} KB, over the ${SYNC_ITEM_QUOTA_BYTES / 1024} KB sync limit; ` +
+    'remove some privacy rules or custom themes';
+}
@@ -0,0 +1,14 @@
+// Fallback switcher page for Tab Switcher Previews
+// Opened by the background in a popup window when the active page can't host
+// the content script (chrome:// pages, the new tab page, the Web Store, PDFs).
+// content.js is loaded into this page and drives the same switcher UI.
+
+const fallbackPort = chrome.runtime.connect({ name: 'fallbackSwitcher' });
+
+fallbackPort.onMessage.addListener((message) => {
+  if (message.action === 'toggleSwitcher') {
+    handleToggleSwitcher(message).catch(error => {
+      console.error("Error showing fallback switcher:", error);
+    });
+  }
+});